@@ -2,32 +2,60 @@ require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const connectDB = require("./config/db");
-const {requestLogger,unknownEndpoint,errorHandler} = require("./middleware/customMiddleware");
+const { logger } = require("./utils/logger");
+const {requestId,requestLogger,unknownEndpoint,errorHandler} = require("./middleware/customMiddleware");
 const todoTaskRouter = require("./routers/todoTaskRouter");
 const userRouter = require("./routers/userRouter");
 const tourRouter = require("./routers/tourRouter");
+const bookingRouter = require("./routers/bookingRouter");
+const reviewRouter = require("./routers/reviewRouter");
+const tagRouter = require("./routers/tagRouter");
+const projectRouter = require("./routers/projectRouter");
+const notificationRouter = require("./routers/notificationRouter");
+const webhookRouter = require("./routers/webhookRouter");
+const { uploadDir } = require("./utils/storage");
+const { startTrashPurge } = require("./utils/trash");
+const { startReminders } = require("./utils/reminders");
+const { startWebhookDeliveries } = require("./utils/webhooks");
+const { getTransport } = require("./utils/mailer");
  
 // express app
 const app = express();
 
+// fail fast when production has no way to send mail
+getTransport();
 connectDB();
+startTrashPurge();
+startReminders();
+startWebhookDeliveries();
 
 // middleware
+app.use(requestId);
 app.use(cors());
-app.use(express.json());
+// PATCH bodies are JSON merge patches (RFC 7396)
+app.use(express.json({ type: ["application/json", "application/merge-patch+json"] }));
 
 app.use(requestLogger);
 
 app.get("/", (req, res) => res.send("API Running!"));
 
+// uploaded files get a new name on every upload, so they can be cached for good
+app.use("/uploads", express.static(uploadDir(), { immutable: true, maxAge: "1y" }));
+
 app.use("/api/todoTasks", todoTaskRouter);
 app.use("/api/users", userRouter);
 app.use("/api/tours", tourRouter);
+app.use("/api/bookings", bookingRouter);
+app.use("/api/reviews", reviewRouter);
+app.use("/api/tags", tagRouter);
+app.use("/api/projects", projectRouter);
+app.use("/api/notifications", notificationRouter);
+app.use("/api/webhooks", webhookRouter);
 
 app.use(unknownEndpoint);
 app.use(errorHandler);
 
 const port = process.env.PORT || 4000;
 app.listen(port, () =>
-  console.log(`Server is running on http://localhost:${port}`)
+  logger.info("Server is running", { url: `http://localhost:${port}` })
 );
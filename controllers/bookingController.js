@@ -0,0 +1,155 @@
+const mongoose = require("mongoose");
+const Booking = require("../models/bookingModel");
+const Tour = require("../models/tourModel");
+const { ConflictError, ForbiddenError, NotFoundError } = require("../utils/errors");
+
+// find out why a seat reservation matched nothing
+const explainUnavailable = async (tourId, departureId, seats) => {
+  const tour = await Tour.findById(tourId);
+  if (!tour) {
+    throw new NotFoundError("Tour not found");
+  }
+  const departure = tour.departures.id(departureId);
+  if (!departure) {
+    throw new NotFoundError("Departure not found");
+  }
+  if (departure.date <= new Date()) {
+    throw new ConflictError("This departure has already left");
+  }
+  throw new ConflictError(
+    `Not enough seats available: ${departure.seatsAvailable} left, ${seats} requested`
+  );
+};
+
+// load a booking visible to the user: the booker, or whoever manages the tour
+const findBooking = async (bookingId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+    throw new NotFoundError("Booking not found");
+  }
+  const booking = await Booking.findById(bookingId);
+  if (!booking) {
+    throw new NotFoundError("Booking not found");
+  }
+
+  const tour = await Tour.findById(booking.tour_id);
+  const isBooker = booking.user_id.equals(user._id);
+  const isManager = tour
+    ? tour.isManageableBy(user)
+    : ["editor", "admin"].includes(user.role);
+  if (!isBooker && !isManager) {
+    throw new NotFoundError("Booking not found");
+  }
+  return { booking, isManager };
+};
+
+// @desc    Book seats on a tour departure
+// @route   POST /api/tours/:tourId/bookings
+// @access  Private
+const createBooking = async (req, res) => {
+  const { tourId } = req.params;
+  const { departureId } = req.body;
+  const seats = Number(req.body.seats || 1);
+
+  if (!mongoose.Types.ObjectId.isValid(tourId)) {
+    throw new NotFoundError("Tour not found");
+  }
+
+  // reserve the seats in one conditional update so concurrent bookings
+  // can never take the count below zero
+  const tour = await Tour.findOneAndUpdate(
+    {
+      _id: tourId,
+      departures: {
+        $elemMatch: {
+          _id: departureId,
+          date: { $gt: new Date() },
+          seatsAvailable: { $gte: seats },
+        },
+      },
+    },
+    { $inc: { "departures.$.seatsAvailable": -seats } },
+    { new: true }
+  );
+  if (!tour) {
+    await explainUnavailable(tourId, departureId, seats);
+  }
+
+  const departure = tour.departures.id(departureId);
+  try {
+    const booking = await Booking.create({
+      user_id: req.user._id,
+      tour_id: tour._id,
+      departure_id: departure._id,
+      departureDate: departure.date,
+      seats,
+    });
+    res.status(201).json(booking);
+  } catch (error) {
+    // give the seats back if the booking could not be stored
+    await Tour.updateOne(
+      { _id: tour._id, "departures._id": departure._id },
+      { $inc: { "departures.$.seatsAvailable": seats } },
+      { withDeleted: true }
+    );
+    throw error;
+  }
+};
+
+// @desc    List bookings of the current user
+// @route   GET /api/users/me/bookings?status=
+// @access  Private
+const getMyBookings = async (req, res) => {
+  const filter = { user_id: req.user._id };
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+
+  const bookings = await Booking.find(filter)
+    .sort({ createdAt: -1 })
+    .populate("tour_id", "name image price");
+  res.status(200).json(bookings);
+};
+
+// @desc    Get one booking
+// @route   GET /api/bookings/:bookingId
+// @access  Private (booker or tour manager)
+const getBooking = async (req, res) => {
+  const { booking } = await findBooking(req.params.bookingId, req.user);
+  res.status(200).json(booking);
+};
+
+// @desc    Move a booking through its lifecycle
+// @route   PATCH /api/bookings/:bookingId
+// @access  Private (bookers may only cancel; tour managers may confirm and complete)
+const updateBookingStatus = async (req, res) => {
+  const { status } = req.body;
+  const { booking, isManager } = await findBooking(req.params.bookingId, req.user);
+
+  if (!isManager && status !== "cancelled") {
+    throw new ForbiddenError("Only the tour organizer can change this booking's status");
+  }
+  if (!Booking.canTransition(booking.status, status)) {
+    throw new ConflictError(`Cannot change a ${booking.status} booking to ${status}`);
+  }
+
+  // only apply the change if nobody moved the booking in the meantime
+  const updated =
+    status === "cancelled"
+      ? await Booking.cancel(booking)
+      : await Booking.findOneAndUpdate(
+          { _id: booking._id, status: booking.status },
+          { status },
+          { new: true }
+        );
+  if (!updated) {
+    throw new ConflictError("Booking was changed by another request, try again");
+  }
+  res.status(200).json(updated);
+};
+
+module.exports = {
+  createBooking,
+  getMyBookings,
+  getBooking,
+  updateBookingStatus,
+};
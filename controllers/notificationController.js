@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+const Notification = require("../models/notificationModel");
+const { single, parseInteger } = require("../utils/queryParams");
+const { NotFoundError } = require("../utils/errors");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// @desc    List notifications of the current user, newest first
+// @route   GET /api/notifications?unread=&page=&limit=
+// @access  Private
+const getNotifications = async (req, res) => {
+  const user_id = req.user._id;
+  const pageParam = single(req.query, "page");
+  const limitParam = single(req.query, "limit");
+  const page =
+    pageParam === undefined ? 1 : parseInteger(pageParam, "page", { min: 1, max: 10000 });
+  const limit =
+    limitParam === undefined
+      ? DEFAULT_LIMIT
+      : parseInteger(limitParam, "limit", { min: 1, max: MAX_LIMIT });
+
+  const filter = { user_id };
+  if (req.query.unread !== undefined) {
+    filter.readAt = req.query.unread === "true" ? null : { $ne: null };
+  }
+  const [notifications, total, unreadCount] = await Promise.all([
+    Notification.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Notification.countDocuments(filter),
+    Notification.countDocuments({ user_id, readAt: null }),
+  ]);
+  res.status(200).json({
+    notifications,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+    unreadCount,
+  });
+};
+
+// @desc    Mark one notification as read or unread
+// @route   PATCH /api/notifications/:id
+// @access  Private (recipient)
+const updateNotification = async (req, res) => {
+  const { id } = req.params;
+  const notification =
+    mongoose.Types.ObjectId.isValid(id) &&
+    (await Notification.findOneAndUpdate(
+      { _id: id, user_id: req.user._id },
+      { readAt: req.body.read ? new Date() : null },
+      { new: true }
+    ));
+  if (!notification) {
+    throw new NotFoundError("Notification not found");
+  }
+  res.status(200).json(notification);
+};
+
+// @desc    Mark every unread notification as read
+// @route   POST /api/notifications/read-all
+// @access  Private
+const markAllRead = async (req, res) => {
+  const { modifiedCount } = await Notification.updateMany(
+    { user_id: req.user._id, readAt: null },
+    { readAt: new Date() }
+  );
+  res.status(200).json({ updated: modifiedCount });
+};
+
+module.exports = {
+  getNotifications,
+  updateNotification,
+  markAllRead,
+};
@@ -0,0 +1,141 @@
+const mongoose = require("mongoose");
+const Project = require("../models/projectModel");
+const User = require("../models/userModel");
+const { removeProject } = require("../utils/projects");
+const { ConflictError, ForbiddenError, NotFoundError } = require("../utils/errors");
+
+// load a project the user can see; projects shared with others stay hidden
+const findProject = async (id, user_id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new NotFoundError("No such project");
+  }
+  const project = await Project.findOne({ _id: id, ...Project.accessibleBy(user_id) });
+  if (!project) {
+    throw new NotFoundError("Project not found");
+  }
+  return project;
+};
+
+const findOwnedProject = async (id, user_id) => {
+  const project = await findProject(id, user_id);
+  if (project.roleOf(user_id) !== "owner") {
+    throw new ForbiddenError("Only the project owner can do this");
+  }
+  return project;
+};
+
+// a project with the caller's role in it
+const withRole = (project, user_id) => ({ ...project.toJSON(), role: project.roleOf(user_id) });
+
+// get all Projects the user owns or collaborates on
+// GET /api/projects
+const getProjects = async (req, res) => {
+  const user_id = req.user._id;
+  const projects = await Project.find(Project.accessibleBy(user_id)).sort({ name: 1 });
+  res.status(200).json(projects.map((project) => withRole(project, user_id)));
+};
+
+// Add one Project, owned by the user
+// POST /api/projects
+const addProject = async (req, res) => {
+  const { name, description } = req.body;
+  const project = await Project.create({ name, description, user_id: req.user._id });
+  res.status(201).json(withRole(project, req.user._id));
+};
+
+// Get Project by ID, with its members
+// GET /api/projects/:id
+const getProject = async (req, res) => {
+  const project = await findProject(req.params.id, req.user._id);
+  await project.populate("members.user_id", "name email");
+  res.status(200).json(withRole(project, req.user._id));
+};
+
+// Rename or describe a Project
+// PATCH /api/projects/:id
+const updateProject = async (req, res) => {
+  const project = await findOwnedProject(req.params.id, req.user._id);
+  const { name, description } = req.body;
+  if (name !== undefined) project.name = name;
+  if (description !== undefined) project.description = description;
+  await project.save();
+  res.status(200).json(withRole(project, req.user._id));
+};
+
+// Delete a Project. Its TodoTasks move to the trash of the users who created
+// them, as personal tasks, so they can still be restored until the purge.
+// DELETE /api/projects/:id
+const deleteProject = async (req, res) => {
+  const project = await findOwnedProject(req.params.id, req.user._id);
+  await removeProject(project);
+  res.status(204).send();
+};
+
+// Share a Project with another user by email
+// POST /api/projects/:id/members
+const addMember = async (req, res) => {
+  const project = await findOwnedProject(req.params.id, req.user._id);
+  const { email, role } = req.body;
+
+  const user = await User.findOne({ email });
+  if (!user) {
+    throw new NotFoundError("No user with that email");
+  }
+  if (project.roleOf(user._id)) {
+    throw new ConflictError("User already has access to this project");
+  }
+
+  project.members.push({ user_id: user._id, role });
+  await project.save();
+  res.status(201).json({ user_id: user._id, name: user.name, email: user.email, role });
+};
+
+// Change a member's permission
+// PATCH /api/projects/:id/members/:userId
+const updateMember = async (req, res) => {
+  const { userId } = req.params;
+  const project = await findOwnedProject(req.params.id, req.user._id);
+  const member =
+    mongoose.Types.ObjectId.isValid(userId) &&
+    project.members.find((m) => m.user_id.equals(userId));
+  if (!member) {
+    throw new NotFoundError("Member not found");
+  }
+
+  member.role = req.body.role;
+  await project.save();
+  res.status(200).json(member);
+};
+
+// Remove a member; members may also remove themselves to leave
+// DELETE /api/projects/:id/members/:userId
+const removeMember = async (req, res) => {
+  const { userId } = req.params;
+  const project = await findProject(req.params.id, req.user._id);
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw new NotFoundError("Member not found");
+  }
+  if (project.roleOf(req.user._id) !== "owner" && !req.user._id.equals(userId)) {
+    throw new ForbiddenError("Only the project owner can remove other members");
+  }
+
+  const { modifiedCount } = await Project.updateOne(
+    { _id: project._id },
+    { $pull: { members: { user_id: userId } } }
+  );
+  if (modifiedCount === 0) {
+    throw new NotFoundError("Member not found");
+  }
+  res.status(204).send();
+};
+
+module.exports = {
+  getProjects,
+  addProject,
+  getProject,
+  updateProject,
+  deleteProject,
+  addMember,
+  updateMember,
+  removeMember,
+};
@@ -0,0 +1,125 @@
+const mongoose = require("mongoose");
+const Review = require("../models/reviewModel");
+const Tour = require("../models/tourModel");
+const { single, parseInteger } = require("../utils/queryParams");
+const { ConflictError, ForbiddenError, NotFoundError } = require("../utils/errors");
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const findTour = async (tourId) => {
+  if (!mongoose.Types.ObjectId.isValid(tourId)) {
+    throw new NotFoundError("Tour not found");
+  }
+  const tour = await Tour.findById(tourId);
+  if (!tour) {
+    throw new NotFoundError("Tour not found");
+  }
+  return tour;
+};
+
+const findReview = async (reviewId) => {
+  if (!mongoose.Types.ObjectId.isValid(reviewId)) {
+    throw new NotFoundError("Review not found");
+  }
+  const review = await Review.findById(reviewId);
+  if (!review) {
+    throw new NotFoundError("Review not found");
+  }
+  return review;
+};
+
+// @desc    List reviews of a tour, newest first
+// @route   GET /api/tours/:tourId/reviews?page=&limit=
+// @access  Public
+const getTourReviews = async (req, res) => {
+  const tour = await findTour(req.params.tourId);
+
+  const pageParam = single(req.query, "page");
+  const limitParam = single(req.query, "limit");
+  const page = pageParam === undefined ? 1 : parseInteger(pageParam, "page", { min: 1, max: 10000 });
+  const limit =
+    limitParam === undefined
+      ? DEFAULT_LIMIT
+      : parseInteger(limitParam, "limit", { min: 1, max: MAX_LIMIT });
+
+  const filter = { tour_id: tour._id };
+  const [reviews, total] = await Promise.all([
+    Review.find(filter)
+      .sort({ createdAt: -1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("user_id", "name"),
+    Review.countDocuments(filter),
+  ]);
+  res.status(200).json({
+    reviews,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+    ratingsAverage: tour.ratingsAverage,
+    ratingsCount: tour.ratingsCount,
+  });
+};
+
+// @desc    Rate and review a tour
+// @route   POST /api/tours/:tourId/reviews
+// @access  Private
+const createReview = async (req, res) => {
+  const tour = await findTour(req.params.tourId);
+  const { rating, comment } = req.body;
+
+  // the unique index still guards against two concurrent first reviews
+  const existing = await Review.exists({ tour_id: tour._id, user_id: req.user._id });
+  if (existing) {
+    throw new ConflictError("You have already reviewed this tour");
+  }
+
+  const review = await Review.create({
+    user_id: req.user._id,
+    tour_id: tour._id,
+    rating,
+    comment,
+  });
+  res.status(201).json(review);
+};
+
+// @desc    Edit your own review
+// @route   PATCH /api/reviews/:reviewId
+// @access  Private (author)
+const updateReview = async (req, res) => {
+  const review = await findReview(req.params.reviewId);
+  if (!review.user_id.equals(req.user._id)) {
+    throw new ForbiddenError("You can only edit your own review");
+  }
+
+  // fields left out of the body are stripped from the update by Mongoose
+  const { rating, comment } = req.body;
+  const updated = await Review.findOneAndUpdate(
+    { _id: review._id },
+    { rating, comment },
+    { new: true, runValidators: true }
+  );
+  res.status(200).json(updated);
+};
+
+// @desc    Delete a review
+// @route   DELETE /api/reviews/:reviewId
+// @access  Private (author or admin)
+const deleteReview = async (req, res) => {
+  const review = await findReview(req.params.reviewId);
+  if (!review.user_id.equals(req.user._id) && req.user.role !== "admin") {
+    throw new ForbiddenError("You can only delete your own review");
+  }
+
+  await Review.findOneAndDelete({ _id: review._id });
+  res.status(204).send();
+};
+
+module.exports = {
+  getTourReviews,
+  createReview,
+  updateReview,
+  deleteReview,
+};
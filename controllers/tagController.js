@@ -0,0 +1,106 @@
+const mongoose = require("mongoose");
+const Tag = require("../models/tagModel");
+const TodoTask = require("../models/todoTaskModel");
+const { publishTaskChanges } = require("../utils/taskChanges");
+const { ConflictError, NotFoundError } = require("../utils/errors");
+
+const findTag = async (id, user_id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new NotFoundError("No such tag");
+  }
+  const tag = await Tag.findOne({ _id: id, user_id });
+  if (!tag) {
+    throw new NotFoundError("Tag not found");
+  }
+  return tag;
+};
+
+const ensureNameIsFree = async (name, user_id) => {
+  if (await Tag.exists({ user_id, name })) {
+    throw new ConflictError(`Tag '${name}' already exists`, [
+      { path: "name", message: "name is already in use" },
+    ]);
+  }
+};
+
+// get all Tags of the user, with how many TodoTasks use each
+// GET /api/tags
+const getTags = async (req, res) => {
+  const user_id = req.user._id;
+  const [tags, counts] = await Promise.all([
+    Tag.find({ user_id }).sort({ name: 1 }),
+    TodoTask.aggregate([
+      { $match: { user_id } },
+      { $unwind: "$tags" },
+      { $group: { _id: "$tags", count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const usage = new Map(counts.map(({ _id, count }) => [_id, count]));
+  res.status(200).json(
+    tags.map((tag) => ({ ...tag.toJSON(), taskCount: usage.get(tag.name) || 0 }))
+  );
+};
+
+// Add one Tag
+// POST /api/tags
+const addTag = async (req, res) => {
+  const user_id = req.user._id;
+  const name = req.body.name.trim();
+  await ensureNameIsFree(name, user_id);
+
+  const tag = await Tag.create({ name, color: req.body.color, user_id });
+  res.status(201).json(tag);
+};
+
+// Rename or recolor a Tag; a new name is applied to every task using it
+// PATCH /api/tags/:id
+const updateTag = async (req, res) => {
+  const user_id = req.user._id;
+  const tag = await findTag(req.params.id, user_id);
+  const previousName = tag.name;
+
+  const name = req.body.name === undefined ? undefined : req.body.name.trim();
+  if (name !== undefined && name !== previousName) {
+    await ensureNameIsFree(name, user_id);
+    tag.name = name;
+  }
+  if (req.body.color !== undefined) {
+    tag.color = req.body.color;
+  }
+  await tag.save();
+
+  if (tag.name !== previousName) {
+    const filter = { user_id, tags: previousName };
+    const ids = await TodoTask.find(filter).distinct("_id");
+    await TodoTask.updateMany(
+      filter,
+      { $set: { "tags.$[tag]": tag.name } },
+      // tasks in the trash too, so restoring one brings back a known tag
+      { arrayFilters: [{ tag: previousName }], withDeleted: true }
+    );
+    await publishTaskChanges("updated", ids);
+  }
+  res.status(200).json(tag);
+};
+
+// Delete a Tag and remove it from every task
+// DELETE /api/tags/:id
+const deleteTag = async (req, res) => {
+  const user_id = req.user._id;
+  const tag = await findTag(req.params.id, user_id);
+
+  await Tag.deleteOne({ _id: tag._id });
+  const filter = { user_id, tags: tag.name };
+  const ids = await TodoTask.find(filter).distinct("_id");
+  await TodoTask.updateMany(filter, { $pull: { tags: tag.name } }, { withDeleted: true });
+  await publishTaskChanges("updated", ids);
+  res.status(204).send();
+};
+
+module.exports = {
+  getTags,
+  addTag,
+  updateTag,
+  deleteTag,
+};
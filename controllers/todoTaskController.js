@@ -1,97 +1,866 @@
+const { once } = require("events");
 const mongoose = require("mongoose");
 const TodoTask = require("../models/todoTaskModel");
+const Tag = require("../models/tagModel");
+const Project = require("../models/projectModel");
+const { parseTodoTaskQuery, encodeCursor } = require("../utils/todoTaskQuery");
+const { parseRecurrence } = require("../utils/recurrence");
+const { EXPORT_FORMATS, parseImportRows } = require("../utils/todoTaskFormats");
+const { logger } = require("../utils/logger");
+const { single } = require("../utils/queryParams");
+const { checkSchema } = require("../utils/validation");
+const { applyMergePatch, assertPatchObject } = require("../utils/mergePatch");
+const { setETag, checkIfMatch } = require("../utils/etag");
+const { subscribe, eventsSince, formatEvent } = require("../utils/taskEvents");
+const { withProgress, publishTaskChange, publishTaskChanges } = require("../utils/taskChanges");
+const todoTaskSchemas = require("../validators/todoTaskSchemas");
+const { toAppError } = require("../middleware/customMiddleware");
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  NotImplementedError,
+  PreconditionFailedError,
+  ValidationError,
+} = require("../utils/errors");
+
+// what an update with ?scope=series may change on every open occurrence
+const SERIES_FIELDS = [
+  "title",
+  "description",
+  "autoComplete",
+  "priority",
+  "tags",
+  "recurrence",
+  "project_id",
+];
+
+// what a PUT resets the editable fields it leaves out to
+const REPLACEMENT_DEFAULTS = {
+  completed: false,
+  autoComplete: false,
+  priority: "medium",
+  tags: [],
+  recurrence: null,
+  project_id: null,
+};
+
+// the project a task is put in must be one the user can edit; null means
+// a personal task
+const checkProject = async (project_id, user_id) => {
+  if (project_id === undefined || project_id === null) return project_id;
+  const project = await Project.findOne({ _id: project_id, ...Project.accessibleBy(user_id) });
+  if (!project) {
+    throw new ValidationError([{ path: "project_id", message: "Unknown project" }]);
+  }
+  if (!project.canEdit(user_id)) {
+    throw new ForbiddenError("Viewers cannot add tasks to this project");
+  }
+  return project._id;
+};
+
+const findChecklistItem = (todoTask, itemId) => {
+  const item = mongoose.Types.ObjectId.isValid(itemId) && todoTask.checklist.id(itemId);
+  if (!item) {
+    throw new NotFoundError("Checklist item not found");
+  }
+  return item;
+};
+
+// tasks may only use tags the user has created; returns the trimmed names
+const checkTags = async (tags, user_id) => {
+  if (tags === undefined) return undefined;
+  const names = [...new Set(tags.map((tag) => tag.trim()))];
+  const known = await Tag.find({ user_id, name: { $in: names } }).distinct("name");
+  const unknown = names.filter((name) => !known.includes(name));
+  if (unknown.length > 0) {
+    throw new ValidationError(
+      unknown.map((name) => ({ path: "tags", message: `Unknown tag '${name}'` }))
+    );
+  }
+  return names;
+};
+
+// save a TodoTask changed in memory; completing a recurring task (also by
+// ticking off its checklist) creates the next occurrence
+const saveTodoTask = async (todoTask, type = "updated") => {
+  await todoTask.save();
+  const next = await todoTask.spawnNextOccurrence();
+  await publishTaskChange(type, todoTask);
+  if (next) {
+    await publishTaskChange("created", next);
+  }
+};
 
 // get all TodoTasks
+// GET /api/todoTasks?project=&completed=&dueBefore=&dueAfter=&q=&tags=&priority=&sort=&limit=&cursor=
 const getTodoTasks = async (req, res) => {
   const user_id = req.user._id;
+  const { filter, sort, limit, after } = parseTodoTaskQuery(req.query);
 
-  try { 
-    const todoTasks = await TodoTask.find({ user_id }).sort({ createdAt: -1 });
-    res.status(200).json(todoTasks);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: "Server Error" });
+  // ?project= lists a project's tasks, otherwise the user's own tasks
+  const project = single(req.query, "project");
+  let scope = { user_id };
+  if (project !== undefined) {
+    const found =
+      mongoose.Types.ObjectId.isValid(project) &&
+      (await Project.exists({ _id: project, ...Project.accessibleBy(user_id) }));
+    if (!found) {
+      throw new NotFoundError("Project not found");
+    }
+    scope = { project_id: found._id };
+  }
+
+  const baseFilter = { ...filter, ...scope };
+  const pageFilter = after ? { $and: [baseFilter, after] } : baseFilter;
+
+  // fetch one extra document to know whether there is a next page
+  const [todoTasks, total] = await Promise.all([
+    TodoTask.find(pageFilter).sort(Object.fromEntries(sort)).limit(limit + 1),
+    TodoTask.countDocuments(baseFilter),
+  ]);
+
+  let next = null;
+  if (todoTasks.length > limit) {
+    todoTasks.pop();
+    const params = new URLSearchParams(req.query);
+    params.set("cursor", encodeCursor(todoTasks[todoTasks.length - 1], sort));
+    next = `${req.baseUrl}?${params}`;
   }
+
+  res.status(200).json({ todoTasks, total, next });
 };
 
 // Add one TodoTask
 const addTodoTask = async (req, res) => {
-  const { title, description, dueDate, completed } = req.body;
+  const { title, description, dueDate, completed, autoComplete, priority } = req.body;
+  const recurrence =
+    req.body.recurrence === undefined ? null : parseRecurrence(req.body.recurrence);
 
-  try {
-    const user_id = req.user._id;
-    const newTodoTask = new TodoTask({
-      title,
-      description,
-      dueDate,
-      completed,
-      user_id,
-    });
-    await newTodoTask.save();
-    res.status(201).json(newTodoTask);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: "Server Error" });
+  const user_id = req.user._id;
+  const tags = await checkTags(req.body.tags, user_id);
+  const project_id = await checkProject(req.body.project_id, user_id);
+  const newTodoTask = new TodoTask({
+    title,
+    description,
+    dueDate,
+    completed,
+    autoComplete,
+    priority,
+    tags,
+    recurrence,
+    project_id,
+    user_id,
+  });
+  if (recurrence) {
+    newTodoTask.series_id = newTodoTask._id;
   }
+  await saveTodoTask(newTodoTask, "created");
+  res.status(201).json(newTodoTask);
 };
 
-// Get TodoTask by ID
+// Get TodoTask by ID, with its checklist progress
 const getTodoTask = async (req, res) => {
-  const { id } = req.params;
-  if (!mongoose.Types.ObjectId.isValid(id)) {
-    return res.status(404).json({ error: "No such todoTask" });
+  const todoTask = await TodoTask.findAccessible(req.params.id, req.user._id);
+  setETag(res, todoTask);
+  res.status(200).json(withProgress(todoTask));
+};
+
+// Delete TodoTask by ID: it moves to the trash until it is restored or purged
+const deleteTodoTask = async (req, res) => {
+  const todoTask = await TodoTask.findAccessible(req.params.id, req.user._id, { write: true });
+  const conditional = checkIfMatch(req, todoTask);
+
+  const filter = { _id: todoTask._id, project_id: todoTask.project_id };
+  if (conditional) {
+    filter.__v = todoTask.__v;
   }
+  const { matchedCount } = await TodoTask.updateOne(filter, { deletedAt: new Date() });
+  if (matchedCount === 0) {
+    if (conditional) {
+      throw new PreconditionFailedError();
+    }
+  } else {
+    await publishTaskChange("deleted", todoTask);
+  }
+  res.status(204).send(); // 204 No Content
+};
 
-  try {
-    const user_id = req.user._id;
-    const todoTask = await TodoTask.findOne({ _id: id, user_id });
-    if (!todoTask) {
-      return res.status(404).json({ message: "TodoTask not found" });
+// Get the deleted TodoTasks the user could restore, most recently deleted first
+// GET /api/todoTasks/trash
+const getDeletedTodoTasks = async (req, res) => {
+  const user_id = req.user._id;
+  const projects = await Project.find(Project.accessibleBy(user_id));
+  const editable = projects.filter((project) => project.canEdit(user_id));
+
+  const todoTasks = await TodoTask.find({
+    deletedAt: { $ne: null },
+    $or: [
+      { user_id, project_id: null },
+      { project_id: { $in: editable.map((project) => project._id) } },
+    ],
+  }).sort({ deletedAt: -1 });
+  res.status(200).json(todoTasks);
+};
+
+// Restore a TodoTask from the trash
+// POST /api/todoTasks/:id/restore
+const restoreTodoTask = async (req, res) => {
+  const current = await TodoTask.findAccessible(req.params.id, req.user._id, {
+    write: true,
+    deleted: true,
+  });
+  const todoTask = await TodoTask.findOneAndUpdate(
+    { _id: current._id, deletedAt: { $ne: null } },
+    { deletedAt: null },
+    { new: true }
+  );
+  if (!todoTask) {
+    throw new NotFoundError("TodoTask not found");
+  }
+  // to a stream the restored task is a new one
+  await publishTaskChange("created", todoTask);
+  setETag(res, todoTask);
+  res.status(200).json(withProgress(todoTask));
+};
+
+// Update every open occurrence of a recurring TodoTask, from this one on
+const updateSeries = async (todoTask, updates) => {
+  if (!todoTask.series_id) {
+    throw new BadRequestError("TodoTask is not part of a recurring series");
+  }
+  const rejected = Object.keys(updates).filter((field) => !SERIES_FIELDS.includes(field));
+  if (rejected.length > 0) {
+    throw new ValidationError(
+      rejected.map((path) => ({
+        path,
+        message: `${path} can only be changed for a single occurrence`,
+      }))
+    );
+  }
+
+  const filter = {
+    series_id: todoTask.series_id,
+    user_id: todoTask.user_id,
+    completed: false,
+    occurrence: { $gte: todoTask.occurrence },
+  };
+  const ids = await TodoTask.find(filter).distinct("_id");
+  await TodoTask.updateMany(filter, updates, { runValidators: true });
+  await publishTaskChanges("updated", ids);
+};
+
+// the editable fields of a stored TodoTask, in the JSON form clients send
+const editableFields = (todoTask) =>
+  JSON.parse(JSON.stringify(TodoTask.pickUpdates(todoTask.toJSON())));
+
+// Store a complete set of editable fields for a TodoTask (PUT, or a PATCH
+// merged into the stored task). Fields left out go back to their defaults.
+const writeTodoTask = async (req, res, current, fields) => {
+  const user_id = req.user._id;
+  const invalid = checkSchema(todoTaskSchemas.replace, fields);
+  if (invalid.length > 0) {
+    throw new ValidationError(invalid);
+  }
+
+  const replacement = { ...REPLACEMENT_DEFAULTS, ...fields };
+  replacement.recurrence = parseRecurrence(replacement.recurrence);
+  // tags and project are only checked when they change, so a collaborator
+  // can edit a task that carries the owner's tags
+  const stored = editableFields(current);
+  if (JSON.stringify(replacement.tags) !== JSON.stringify(stored.tags)) {
+    replacement.tags = await checkTags(replacement.tags, user_id);
+  }
+  if (String(replacement.project_id) !== String(stored.project_id)) {
+    replacement.project_id = await checkProject(replacement.project_id, user_id);
+  }
+
+  // the version and access checks hold only while the stored task is
+  // exactly the one that was checked
+  const conditional = checkIfMatch(req, current);
+  const todoTask = await TodoTask.findOneAndUpdate(
+    { _id: current._id, project_id: current.project_id, __v: current.__v },
+    replacement,
+    { new: true, runValidators: true }
+  );
+  if (!todoTask) {
+    if (conditional) {
+      throw new PreconditionFailedError();
+    }
+    throw new ConflictError("TodoTask was changed by another request, try again");
+  }
+
+  // a task that just became recurring starts its own series
+  if (todoTask.recurrence && !todoTask.series_id) {
+    todoTask.series_id = todoTask._id;
+  }
+  // save re-derives completed for autoComplete tasks
+  await saveTodoTask(todoTask);
+  setETag(res, todoTask);
+  res.status(200).json(todoTask);
+};
+
+// Replace TodoTask by ID; a PUT has no series scope, use PATCH for that
+// PUT /api/todoTasks/:id
+const replaceTodoTask = async (req, res) => {
+  const current = await TodoTask.findAccessible(req.params.id, req.user._id, { write: true });
+  await writeTodoTask(req, res, current, TodoTask.pickUpdates(req.body));
+};
+
+// Update TodoTask by ID with a JSON merge patch
+// PATCH /api/todoTasks/:id?scope=occurrence|series
+// If-Match is only supported for a single occurrence
+const updateTodoTask = async (req, res) => {
+  assertPatchObject(req.body);
+  const user_id = req.user._id;
+  const current = await TodoTask.findAccessible(req.params.id, user_id, { write: true });
+  const patch = TodoTask.pickUpdates(req.body);
+
+  if (req.query.scope === "series") {
+    // the ETag only covers this occurrence, so it cannot vouch for the others
+    if (req.get("If-Match") !== undefined) {
+      throw new BadRequestError("If-Match is not supported with scope=series");
+    }
+    if (patch.recurrence !== undefined) {
+      patch.recurrence = parseRecurrence(patch.recurrence);
+    }
+    if (patch.tags !== undefined) {
+      patch.tags = await checkTags(patch.tags, user_id);
     }
+    if (patch.project_id !== undefined) {
+      patch.project_id = await checkProject(patch.project_id, user_id);
+    }
+    await updateSeries(current, patch);
+    const todoTask = await TodoTask.findById(current._id);
+    setETag(res, todoTask);
     res.status(200).json(todoTask);
-  } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: "Server Error" });
+    return;
   }
+
+  await writeTodoTask(req, res, current, applyMergePatch(editableFields(current), patch));
 };
 
-// Delete TodoTask by ID
-const deleteTodoTask = async (req, res) => {
-  const { id } = req.params;
-  try {
-    const user_id = req.user._id;
-    const todoTask = await TodoTask.findByIdAndDelete({
-      _id: id,
-      user_id: user_id,
+// Bulk operations. Each operation is checked and turned into bulkWrite
+// operations first; the ones that fail get an error result and are left out.
+// Query middleware does not run for bulkWrite, so the soft delete filter and
+// the version bump are spelled out here.
+const BULK_FILTERS = ["dueBefore", "dueAfter", "q", "tags", "priority", "project"];
+
+const bulkError = (error) => {
+  const appError = toAppError(error);
+  if (!appError) throw error;
+  const body = { code: appError.code, message: appError.message };
+  if (appError.fields) {
+    body.fields = appError.fields;
+  }
+  return { status: appError.status, error: body };
+};
+
+// the open tasks a filter-based operation applies to: the user's personal
+// tasks, or the tasks of a project the user may edit
+const findBulkTargets = async (filter = {}, user_id, extra) => {
+  const query = {};
+  for (const [name, value] of Object.entries(filter)) {
+    if (!BULK_FILTERS.includes(name)) {
+      throw new ValidationError([
+        { path: `filter.${name}`, message: `filter.${name} is not supported` },
+      ]);
+    }
+    query[name] = Array.isArray(value) ? value.join(",") : String(value);
+  }
+  const parsed = parseTodoTaskQuery(query).filter;
+
+  let scope = { user_id, project_id: null };
+  if (query.project !== undefined) {
+    const project =
+      mongoose.Types.ObjectId.isValid(query.project) &&
+      (await Project.findOne({ _id: query.project, ...Project.accessibleBy(user_id) }));
+    if (!project) {
+      throw new NotFoundError("Project not found");
+    }
+    if (!project.canEdit(user_id)) {
+      throw new ForbiddenError("Viewers cannot change tasks in this project");
+    }
+    scope = { project_id: project._id };
+  }
+  return TodoTask.find({ ...parsed, ...scope, ...extra }).distinct("_id");
+};
+
+const touch = (fields) => ({ $set: fields, $inc: { __v: 1 } });
+
+// returns { writes, result, spawn, changes } for one operation, or throws
+const prepareBulkOperation = async (operation, user_id) => {
+  const invalid = checkSchema(todoTaskSchemas.bulkOperation, operation);
+  if (invalid.length > 0) {
+    throw new ValidationError(invalid);
+  }
+  const { op, id, data = {}, filter } = operation;
+  if (["update", "delete"].includes(op) && !id) {
+    throw new ValidationError([{ path: "id", message: "id is required" }]);
+  }
+  if (["create", "update"].includes(op)) {
+    const schema = op === "create" ? todoTaskSchemas.create : todoTaskSchemas.update;
+    const invalidData = checkSchema(schema, data).map(({ path, message }) => ({
+      path: `data.${path}`,
+      message,
+    }));
+    if (invalidData.length > 0) {
+      throw new ValidationError(invalidData);
+    }
+  }
+
+  switch (op) {
+    case "create": {
+      const fields = TodoTask.pickUpdates(data);
+      fields.recurrence =
+        fields.recurrence === undefined ? null : parseRecurrence(fields.recurrence);
+      fields.tags = await checkTags(fields.tags, user_id);
+      fields.project_id = await checkProject(fields.project_id, user_id);
+      const todoTask = new TodoTask({ ...fields, user_id });
+      if (todoTask.recurrence) {
+        todoTask.series_id = todoTask._id;
+      }
+      await todoTask.validate();
+      return {
+        writes: [{ insertOne: { document: todoTask.toObject() } }],
+        result: { status: 201, _id: todoTask._id },
+        spawn: [todoTask._id],
+        changes: { type: "created", ids: [todoTask._id] },
+      };
+    }
+    case "update": {
+      const current = await TodoTask.findAccessible(id, user_id, { write: true });
+      const updates = TodoTask.pickUpdates(data);
+      if (updates.recurrence !== undefined) {
+        updates.recurrence = parseRecurrence(updates.recurrence);
+        if (updates.recurrence && !current.series_id) {
+          updates.series_id = current._id;
+        }
+      }
+      if (updates.tags !== undefined) {
+        updates.tags = await checkTags(updates.tags, user_id);
+      }
+      if (updates.project_id !== undefined) {
+        updates.project_id = await checkProject(updates.project_id, user_id);
+      }
+      // completed stays derived from the checklist where the task asks for it
+      const autoComplete = updates.autoComplete ?? current.autoComplete;
+      if (autoComplete && current.checklist.length > 0) {
+        updates.completed = current.checklist.every((item) => item.completed);
+      }
+      return {
+        writes: [
+          {
+            updateOne: {
+              filter: { _id: current._id, __v: current.__v, deletedAt: null },
+              update: touch(updates),
+            },
+          },
+        ],
+        result: { status: 200, _id: current._id },
+        spawn: [current._id],
+        changes: { type: "updated", ids: [current._id] },
+      };
+    }
+    case "delete": {
+      const current = await TodoTask.findAccessible(id, user_id, { write: true });
+      return {
+        writes: [
+          {
+            updateOne: {
+              filter: { _id: current._id, __v: current.__v, deletedAt: null },
+              update: touch({ deletedAt: new Date() }),
+            },
+          },
+        ],
+        result: { status: 204, _id: current._id },
+        changes: { type: "deleted", ids: [current._id] },
+      };
+    }
+    case "completeAll": {
+      // tasks that derive completed from their checklist are left alone
+      const ids = await findBulkTargets(filter, user_id, {
+        completed: false,
+        $nor: [{ autoComplete: true, "checklist.0": { $exists: true } }],
+      });
+      return {
+        writes: [
+          {
+            updateMany: {
+              filter: { _id: { $in: ids }, completed: false, deletedAt: null },
+              update: touch({ completed: true }),
+            },
+          },
+        ],
+        result: { status: 200, count: ids.length },
+        spawn: ids,
+        changes: { type: "updated", ids },
+      };
+    }
+    default: {
+      // deleteCompleted
+      const ids = await findBulkTargets(filter, user_id, { completed: true });
+      return {
+        writes: [
+          {
+            updateMany: {
+              filter: { _id: { $in: ids }, deletedAt: null },
+              update: touch({ deletedAt: new Date() }),
+            },
+          },
+        ],
+        result: { status: 200, count: ids.length },
+        changes: { type: "deleted", ids },
+      };
+    }
+  }
+};
+
+// a rejected write: a duplicate key is a conflict, anything else a bad request
+const writeFailure = (error) => {
+  const [writeError] = error.writeErrors || [];
+  if (!writeError) return error;
+  return writeError.code === 11000
+    ? new ConflictError("Resource already exists")
+    : new BadRequestError(writeError.errmsg);
+};
+
+// Run the writes of one prepared operation. An update expects the version
+// its task had when the operation was prepared, or the one an earlier write
+// of the batch left it at (`versions`: task id -> __v). Matching nothing
+// means the task was deleted or changed by someone else meanwhile.
+const applyWrites = async (item, versions, session) => {
+  for (const write of item.writes) {
+    let operation = write;
+    let version;
+    if (write.updateOne) {
+      const { filter } = write.updateOne;
+      version = versions.get(String(filter._id)) ?? filter.__v;
+      operation = { updateOne: { ...write.updateOne, filter: { ...filter, __v: version } } };
+    }
+    const result = await TodoTask.bulkWrite([operation], { session }).catch((error) => {
+      throw writeFailure(error);
     });
-    if (!todoTask) {
-      return res.status(404).json({ message: "TodoTask not found" });
+
+    if (write.updateOne) {
+      const id = String(write.updateOne.filter._id);
+      if (result.matchedCount === 0) {
+        throw (await TodoTask.exists({ _id: id }).session(session))
+          ? new PreconditionFailedError("TodoTask has changed since the batch read it")
+          : new NotFoundError("TodoTask not found");
+      }
+      versions.set(id, version + 1);
+    } else if (write.updateMany) {
+      const touched = await TodoTask.find({ _id: write.updateMany.filter._id }, "__v", {
+        withDeleted: true,
+      }).session(session);
+      for (const { _id, __v } of touched) versions.set(String(_id), __v);
     }
-    res.status(204).send(); // 204 No Content
+  }
+};
+
+// transactions need a replica set or a sharded cluster
+const supportsTransactions = async () => {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  return Boolean(hello.setName) || hello.msg === "isdbgrid";
+};
+
+// Apply every operation of an atomic batch in one transaction, so either all
+// of them are stored or none. A deployment without transactions cannot do
+// that, so the batch is refused there with a 501.
+const writeInTransaction = async (prepared) => {
+  if (!(await supportsTransactions())) {
+    throw new NotImplementedError("Atomic batches need a MongoDB replica set");
+  }
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      // withTransaction runs this again after a transient error
+      for (const item of prepared) delete item.failed;
+      const versions = new Map();
+      for (const item of prepared) {
+        try {
+          await applyWrites(item, versions, session);
+        } catch (error) {
+          item.failed = bulkError(error);
+          throw error;
+        }
+      }
+    });
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: "Server Error" });
+    if (!prepared.some((item) => item.failed)) throw error;
+  } finally {
+    await session.endSession();
   }
 };
 
-// Update TodoTask by ID
-const updateTodoTask = async (req, res) => {
-  const { id } = req.params;
+// Apply a batch of operations on TodoTasks
+// POST /api/todoTasks/bulk
+// Responds with one result per operation, in order: { index, op, status }
+// plus the task _id or the number of tasks affected, or an error. An update
+// or delete of a task that was deleted or changed while the batch ran fails
+// with 404 or 412. In atomic mode the batch runs in a transaction and nothing
+// is applied unless every operation succeeds; the others then report status
+// 424 and the response is a 422. Atomic mode needs a replica set (501).
+const bulkTodoTasks = async (req, res) => {
+  const user_id = req.user._id;
+  const { operations, atomic = false } = req.body;
+
+  const prepared = [];
+  for (const [index, operation] of operations.entries()) {
+    try {
+      const outcome = await prepareBulkOperation(operation, user_id);
+      prepared.push({ index, op: operation.op, ...outcome });
+    } catch (error) {
+      prepared.push({ index, op: operation.op, failed: bulkError(error) });
+    }
+  }
+
+  const anyFailed = () => prepared.some((item) => item.failed);
+  if (atomic) {
+    if (!anyFailed()) {
+      await writeInTransaction(prepared);
+    }
+  } else {
+    const versions = new Map();
+    for (const item of prepared.filter((item) => !item.failed)) {
+      await applyWrites(item, versions).catch((error) => {
+        item.failed = bulkError(error);
+      });
+    }
+  }
+
+  const applied = !(atomic && anyFailed());
+  if (applied) {
+    const done = prepared.filter((item) => !item.failed);
+    // completing a recurring task creates its next occurrence
+    const completed = await TodoTask.find({
+      _id: { $in: done.flatMap((item) => item.spawn || []) },
+      completed: true,
+      recurrence: { $ne: null },
+      nextOccurrence_id: null,
+    });
+    const spawned = [];
+    for (const todoTask of completed) {
+      const next = await todoTask.spawnNextOccurrence();
+      if (next) spawned.push(next._id);
+    }
+
+    for (const { changes } of done) {
+      await publishTaskChanges(changes.type, changes.ids);
+    }
+    await publishTaskChanges("created", spawned);
+  }
+
+  const results = prepared.map(({ index, op, result, failed }) => {
+    if (failed) return { index, op, ...failed };
+    if (!applied) {
+      return {
+        index,
+        op,
+        status: 424,
+        error: { code: "NOT_APPLIED", message: "Not applied because another operation failed" },
+      };
+    }
+    return { index, op, ...result };
+  });
+  res.status(applied ? 200 : 422).json({ results });
+};
+
+const MAX_IMPORT_ROWS = 1000;
+
+// write one piece of a streamed response, waiting while the client catches up
+const writeChunk = async (res, chunk) => {
+  if (chunk && !res.write(chunk)) {
+    await Promise.race([once(res, "drain"), once(res, "close")]);
+  }
+};
+
+// Download the user's TodoTasks
+// GET /api/todoTasks/export?format=json|csv|ics
+const exportTodoTasks = async (req, res) => {
+  const name = req.query.format || "json";
+  const format = EXPORT_FORMATS[name];
+  res.set({
+    "Content-Type": format.contentType,
+    "Content-Disposition": `attachment; filename="todoTasks.${name}"`,
+  });
+
+  const cursor = TodoTask.find({ user_id: req.user._id }).sort({ dueDate: 1, _id: 1 }).cursor();
   try {
-    const user_id = req.user._id;
-    const todoTask = await TodoTask.findOneAndUpdate(
-      { _id: id, user_id: user_id },
-      { ...req.body },
-      { new: true }
-    );
-    if (!todoTask) {
-      return res.status(404).json({ message: "TodoTask not found" });
+    await writeChunk(res, format.start());
+    let index = 0;
+    for await (const todoTask of cursor) {
+      if (res.destroyed) break;
+      await writeChunk(res, format.item(todoTask, index++));
     }
-    res.status(200).json(todoTask);
+    res.end(format.end());
   } catch (error) {
-    console.error(error);
-    res.status(500).json({ error: "Server Error" });
+    // the status line is already sent; cut the download short instead
+    logger.error("TodoTask export failed", { requestId: req.id, error });
+    res.destroy(error);
+  } finally {
+    await cursor.close();
+  }
+};
+
+// Create TodoTasks from a CSV or JSON upload. Every row is validated like a
+// new task; valid rows are created and the others reported. Imported tasks
+// are stored as given, so completed recurring ones spawn no occurrences.
+// POST /api/todoTasks/import?dryRun=true
+const importTodoTasks = async (req, res) => {
+  const user_id = req.user._id;
+  const dryRun = req.query.dryRun === "true";
+  const rows = parseImportRows(req.body, req.is("text/csv") ? "csv" : "json");
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ValidationError([], `An import can have at most ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  const results = [];
+  const todoTasks = [];
+  for (const { row, data } of rows) {
+    try {
+      if (!data) {
+        throw new ValidationError([], "Row must be an object");
+      }
+      const invalid = checkSchema(todoTaskSchemas.create, data);
+      if (invalid.length > 0) {
+        throw new ValidationError(invalid);
+      }
+      const todoTask = new TodoTask({
+        ...data,
+        recurrence: data.recurrence === undefined ? null : parseRecurrence(data.recurrence),
+        tags: await checkTags(data.tags, user_id),
+        project_id: await checkProject(data.project_id, user_id),
+        user_id,
+      });
+      if (todoTask.recurrence) {
+        todoTask.series_id = todoTask._id;
+      }
+      await todoTask.validate();
+      todoTasks.push(todoTask);
+      results.push(dryRun ? { row, valid: true } : { row, valid: true, _id: todoTask._id });
+    } catch (error) {
+      results.push({ row, valid: false, error: bulkError(error).error });
+    }
+  }
+
+  if (!dryRun && todoTasks.length > 0) {
+    await TodoTask.insertMany(todoTasks);
+    for (const todoTask of todoTasks) {
+      await publishTaskChange("created", todoTask);
+    }
   }
+  res.status(dryRun ? 200 : 201).json({
+    dryRun,
+    total: rows.length,
+    valid: todoTasks.length,
+    invalid: rows.length - todoTasks.length,
+    rows: results,
+  });
+};
+
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// Follow changes to the user's TodoTasks as Server-Sent Events: "created",
+// "updated" (both with the task) and "deleted" (with its _id). A client that
+// reconnects with Last-Event-ID first gets the events it missed; when those
+// are no longer known it gets a "reset" event and should reload its tasks.
+// The stream ends when the access token expires, so a revoked session stops
+// receiving events; the client reconnects with a new token.
+// GET /api/todoTasks/stream
+const streamTodoTasks = async (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // keep proxies from holding events back
+  });
+  res.flushHeaders();
+  res.write("retry: 5000\n\n");
+
+  // subscribe before replaying, so no event falls in between
+  const unsubscribe = subscribe(req.user._id, (event) => res.write(formatEvent(event)));
+  const lastEventId = req.get("Last-Event-ID");
+  if (lastEventId) {
+    const { events, complete } = eventsSince(req.user._id, lastEventId);
+    if (!complete) {
+      res.write(`event: reset\ndata: {}\n\n`);
+    }
+    events.forEach((event) => res.write(formatEvent(event)));
+  }
+
+  // comments keep idle connections from being closed along the way
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), STREAM_HEARTBEAT_MS);
+  const expiry =
+    req.tokenExpiresAt &&
+    setTimeout(() => res.end(), Math.max(req.tokenExpiresAt - Date.now(), 0));
+  res.on("close", () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe();
+  });
+};
+
+// Add a checklist item, appended unless a position is given
+// POST /api/todoTasks/:id/checklist
+const addChecklistItem = async (req, res) => {
+  const todoTask = await TodoTask.findAccessible(req.params.id, req.user._id, { write: true });
+  const { text, completed, position } = req.body;
+
+  const index =
+    position === undefined
+      ? todoTask.checklist.length
+      : Math.min(Number(position), todoTask.checklist.length);
+  todoTask.checklist.splice(index, 0, { text, completed });
+  await saveTodoTask(todoTask);
+  res.status(201).json(withProgress(todoTask));
+};
+
+// Edit or toggle a checklist item
+// PATCH /api/todoTasks/:id/checklist/:itemId
+const updateChecklistItem = async (req, res) => {
+  const todoTask = await TodoTask.findAccessible(req.params.id, req.user._id, { write: true });
+  const item = findChecklistItem(todoTask, req.params.itemId);
+
+  const { text, completed } = req.body;
+  if (text !== undefined) item.text = text;
+  if (completed !== undefined) item.completed = completed;
+  await saveTodoTask(todoTask);
+  res.status(200).json(withProgress(todoTask));
+};
+
+// Remove a checklist item
+// DELETE /api/todoTasks/:id/checklist/:itemId
+const removeChecklistItem = async (req, res) => {
+  const todoTask = await TodoTask.findAccessible(req.params.id, req.user._id, { write: true });
+  findChecklistItem(todoTask, req.params.itemId).deleteOne();
+  await saveTodoTask(todoTask);
+  res.status(200).json(withProgress(todoTask));
+};
+
+// Reorder the checklist; itemIds must list every item exactly once
+// PUT /api/todoTasks/:id/checklist/order
+const reorderChecklist = async (req, res) => {
+  const todoTask = await TodoTask.findAccessible(req.params.id, req.user._id, { write: true });
+  const { itemIds } = req.body;
+
+  const current = todoTask.checklist.map((item) => item._id.toString());
+  const requested = itemIds.map(String);
+  const sameItems =
+    requested.length === current.length &&
+    new Set(requested).size === requested.length &&
+    requested.every((itemId) => current.includes(itemId));
+  if (!sameItems) {
+    throw new ValidationError([
+      { path: "itemIds", message: "itemIds must list every checklist item exactly once" },
+    ]);
+  }
+
+  todoTask.checklist = requested.map((itemId) => todoTask.checklist.id(itemId).toObject());
+  await saveTodoTask(todoTask);
+  res.status(200).json(withProgress(todoTask));
 };
 
 module.exports = {
@@ -99,5 +868,16 @@ module.exports = {
   addTodoTask,
   getTodoTask,
   deleteTodoTask,
+  getDeletedTodoTasks,
+  restoreTodoTask,
+  replaceTodoTask,
   updateTodoTask,
+  bulkTodoTasks,
+  exportTodoTasks,
+  importTodoTasks,
+  streamTodoTasks,
+  addChecklistItem,
+  updateChecklistItem,
+  removeChecklistItem,
+  reorderChecklist,
 };
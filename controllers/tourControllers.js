@@ -1,24 +1,49 @@
 const Tour = require("../models/tourModel");
 const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { parseTourQuery } = require("../utils/tourQuery");
+const { processTourImage } = require("../utils/images");
+const { getStorage, removeStoredFiles } = require("../utils/storage");
+const { checkSchema } = require("../utils/validation");
+const { applyMergePatch, assertPatchObject } = require("../utils/mergePatch");
+const { setETag, checkIfMatch } = require("../utils/etag");
+const { queueTourWebhooks } = require("../utils/webhooks");
+const tourSchemas = require("../validators/tourSchemas");
+const {
+  ConflictError,
+  NotFoundError,
+  PreconditionFailedError,
+  ValidationError,
+} = require("../utils/errors");
 
-// GET /tours
+// GET /tours?q=&minPrice=&maxPrice=&sort=&fields=&page=&limit=
 const getAllTours = async (req, res) => {
-  try {
-    const tours = await Tour.find({}).sort({ createdAt: -1 });
-    res.status(200).json(tours);
-  } catch (error) {
-    res.status(500).json({ message: "Failed to retrieve tours" });
-  }
+  const { filter, projection, sort, page, limit } = parseTourQuery(req.query);
+
+  const [tours, total] = await Promise.all([
+    Tour.find(filter, projection)
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Tour.countDocuments(filter),
+  ]);
+  res.status(200).json({
+    tours,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  });
 };
 
 // POST /tours
 const createTour = async (req, res) => {
-  try {
-    const newTour = await Tour.create({ ...req.body });
-    res.status(201).json(newTour);
-  } catch (error) {
-    res.status(400).json({ message: "Failed to create tour", error: error.message });
-  }
+  const newTour = await Tour.create({
+    ...Tour.pickUpdates(req.body),
+    user_id: req.user._id,
+  });
+  await queueTourWebhooks("created", newTour);
+  res.status(201).json(newTour);
 };
 
 // GET /tours/:tourId
@@ -26,69 +51,168 @@ const getTourById = async (req, res) => {
   const { tourId } = req.params;
 
   if (!mongoose.Types.ObjectId.isValid(tourId)) {
-    return res.status(400).json({ message: "Invalid tour ID" });
+    throw new NotFoundError("Tour not found");
   }
 
-  try {
-    const tour = await Tour.findById(tourId);
-    if (tour) {
-      res.status(200).json(tour);
-    } else {
-      res.status(404).json({ message: "Tour not found" });
+  const tour = await Tour.findById(tourId);
+  if (!tour) {
+    throw new NotFoundError("Tour not found");
+  }
+  setETag(res, tour);
+  res.status(200).json(tour);
+};
+
+// Store a complete set of editable fields for a tour, as long as it is still
+// the version that was loaded
+const writeTour = async (req, res, current, fields) => {
+  const invalid = checkSchema(tourSchemas.create, fields);
+  if (invalid.length > 0) {
+    throw new ValidationError(invalid);
+  }
+
+  const conditional = checkIfMatch(req, current);
+  const updatedTour = await Tour.findOneAndUpdate(
+    { _id: current._id, __v: current.__v },
+    fields,
+    { new: true, runValidators: true }
+  );
+  if (!updatedTour) {
+    if (conditional) {
+      throw new PreconditionFailedError();
     }
-  } catch (error) {
-    res.status(500).json({ message: "Failed to retrieve tour" });
+    throw new ConflictError("Tour was changed by another request, try again");
   }
+  await queueTourWebhooks("updated", updatedTour);
+  setETag(res, updatedTour);
+  res.status(200).json(updatedTour);
 };
 
 // PUT /tours/:tourId
+const replaceTour = async (req, res) => {
+  const tour = await Tour.findManageable(req.params.tourId, req.user);
+  await writeTour(req, res, tour, Tour.pickUpdates(req.body));
+};
+
+// PATCH /tours/:tourId (JSON merge patch)
 const updateTour = async (req, res) => {
+  assertPatchObject(req.body);
+  const tour = await Tour.findManageable(req.params.tourId, req.user);
+  const stored = JSON.parse(JSON.stringify(Tour.pickUpdates(tour.toJSON())));
+  await writeTour(req, res, tour, applyMergePatch(stored, Tour.pickUpdates(req.body)));
+};
+
+// DELETE /tours/:tourId
+// Moves the tour to the trash. Its reviews and images are kept until the
+// trash is purged (utils/trash.js), so an admin can still restore it.
+const deleteTour = async (req, res) => {
   const { tourId } = req.params;
+  const tour = await Tour.findManageable(tourId, req.user);
 
-  if (!mongoose.Types.ObjectId.isValid(tourId)) {
-    return res.status(400).json({ message: "Invalid tour ID" });
+  const filter = { _id: tourId };
+  const conditional = checkIfMatch(req, tour);
+  if (conditional) {
+    filter.__v = tour.__v;
   }
-
-  try {
-    const updatedTour = await Tour.findOneAndUpdate(
-      { _id: tourId },
-      { ...req.body },
-      { new: true }
-    );
-    if (updatedTour) {
-      res.status(200).json(updatedTour);
-    } else {
-      res.status(404).json({ message: "Tour not found" });
+  const { matchedCount } = await Tour.updateOne(filter, { deletedAt: new Date() });
+  if (matchedCount === 0) {
+    if (conditional) {
+      throw new PreconditionFailedError();
     }
-  } catch (error) {
-    res.status(500).json({ message: "Failed to update tour" });
+  } else {
+    await queueTourWebhooks("deleted", tour);
   }
+  res.status(204).send(); // 204 No Content
 };
 
-// DELETE /tours/:tourId
-const deleteTour = async (req, res) => {
-  const { tourId } = req.params;
+// GET /tours/trash (admin)
+const getDeletedTours = async (req, res) => {
+  const tours = await Tour.find({ deletedAt: { $ne: null } }).sort({ deletedAt: -1 });
+  res.status(200).json(tours);
+};
 
+// POST /tours/:tourId/restore (admin)
+const restoreTour = async (req, res) => {
+  const { tourId } = req.params;
   if (!mongoose.Types.ObjectId.isValid(tourId)) {
-    return res.status(400).json({ message: "Invalid tour ID" });
+    throw new NotFoundError("Tour not found");
+  }
+
+  const tour = await Tour.findOneAndUpdate(
+    { _id: tourId, deletedAt: { $ne: null } },
+    { deletedAt: null },
+    { new: true }
+  );
+  if (!tour) {
+    throw new NotFoundError("No such tour in the trash");
   }
+  // to a webhook the restored tour is a new one
+  await queueTourWebhooks("created", tour);
+  setETag(res, tour);
+  res.status(200).json(tour);
+};
+
+// PUT /tours/:tourId/image (multipart, field "image")
+const uploadTourImage = async (req, res) => {
+  const { tourId } = req.params;
+  const tour = await Tour.findManageable(tourId, req.user);
 
+  const { image, thumbnail } = await processTourImage(req.file.buffer);
+
+  // a fresh name per upload, so cached copies of the old image never linger
+  const name = crypto.randomBytes(8).toString("hex");
+  const keys = [`tours/${tourId}/${name}.webp`, `tours/${tourId}/${name}-thumb.webp`];
+  const storage = getStorage();
+
+  let updatedTour;
   try {
-    const deletedTour = await Tour.findOneAndDelete({ _id: tourId });
-    if (deletedTour) {
-      res.status(204).send(); // 204 No Content
-    } else {
-      res.status(404).json({ message: "Tour not found" });
-    }
+    const [imageUrl, thumbnailUrl] = await Promise.all([
+      storage.save(keys[0], image, "image/webp"),
+      storage.save(keys[1], thumbnail, "image/webp"),
+    ]);
+    updatedTour = await Tour.findByIdAndUpdate(
+      tourId,
+      { image: imageUrl, thumbnail: thumbnailUrl, imageKeys: keys },
+      { new: true }
+    );
   } catch (error) {
-    res.status(500).json({ message: "Failed to delete tour" });
+    await removeStoredFiles(keys);
+    throw error;
   }
+
+  // the tour may have been deleted while the files were being written
+  if (!updatedTour) {
+    await removeStoredFiles(keys);
+    throw new NotFoundError("Tour not found");
+  }
+  await removeStoredFiles(tour.imageKeys);
+  await queueTourWebhooks("updated", updatedTour);
+  res.status(200).json(updatedTour);
+};
+
+// POST /tours/:tourId/departures
+const addDeparture = async (req, res) => {
+  const { tourId } = req.params;
+  await Tour.findManageable(tourId, req.user);
+
+  const { date, capacity } = req.body;
+  const tour = await Tour.findByIdAndUpdate(
+    tourId,
+    { $push: { departures: { date, capacity, seatsAvailable: capacity } } },
+    { new: true, runValidators: true }
+  );
+  await queueTourWebhooks("updated", tour);
+  res.status(201).json(tour.departures[tour.departures.length - 1]);
 };
 
 module.exports = {
   getAllTours,
   getTourById,
   createTour,
+  replaceTour,
   updateTour,
   deleteTour,
+  getDeletedTours,
+  restoreTour,
+  addDeparture,
+  uploadTourImage,
 };
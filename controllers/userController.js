@@ -1,29 +1,55 @@
 const User = require("../models/userModel");
+const RefreshToken = require("../models/refreshTokenModel");
+const TodoTask = require("../models/todoTaskModel");
+const PasswordResetToken = require("../models/passwordResetTokenModel");
+const Review = require("../models/reviewModel");
+const Tag = require("../models/tagModel");
+const Project = require("../models/projectModel");
+const Notification = require("../models/notificationModel");
+const Booking = require("../models/bookingModel");
+const Webhook = require("../models/webhookModel");
+const WebhookDelivery = require("../models/webhookDeliveryModel");
+const { sendMail } = require("../utils/mailer");
+const { publishTaskChange } = require("../utils/taskChanges");
+const { removeProject } = require("../utils/projects");
+const { checkDestination } = require("../utils/outbound");
+const {
+  BadRequestError,
+  NotFoundError,
+  UnauthorizedError,
+  ValidationError,
+} = require("../utils/errors");
+const mongoose = require("mongoose");
 const jwt = require("jsonwebtoken");
 
-// Generate JWT
-const generateToken = (_id) => {
-  return jwt.sign({ _id }, process.env.SECRET, {
-    expiresIn: "3d",
+// Generate a short-lived access JWT for a session (refresh token family)
+// The role claim is informational for clients; requireAuth reads the current
+// role from the database so a role change takes effect immediately.
+const generateToken = (_id, role, sid) => {
+  return jwt.sign({ _id, role, sid }, process.env.SECRET, {
+    expiresIn: "15m",
   });
 };
 
+// Start a new session: an access token plus a refresh token to renew it
+const createSession = async (user) => {
+  const { token: refreshToken, doc } = await RefreshToken.issue(user._id);
+  const token = generateToken(user._id, user.role, doc.family);
+  return { token, refreshToken };
+};
+
 // @desc    Register new user
 // @route   POST /api/users/signup
 // @access  Public
 const signupUser = async (req, res) => {
   const { name, email, password } = req.body;
 
-  try {
-    const user = await User.signup(name, email, password);
+  const user = await User.signup(name, email, password, User.pickProfile(req.body));
 
-    // create a token
-    const token = generateToken(user._id);
+  // create a session
+  const { token, refreshToken } = await createSession(user);
 
-    res.status(201).json({ email, token });
-  } catch (error) {
-    res.status(400).json({ error: error.message });
-  }
+  res.status(201).json({ email, token, refreshToken });
 };
 
 // @desc    Authenticate a user
@@ -31,35 +57,256 @@ const signupUser = async (req, res) => {
 // @access  Public
 const loginUser = async (req, res) => {
   const { email, password } = req.body;
-  try {
-    const user = await User.login(email, password);
-
-    if (user) {
-      // create a token
-      const token = generateToken(user._id);
-      res.status(200).json({ email, token });
-    } else {
-      res.status(400);
-      throw new Error("Invalid credentials");
-    }
-  } catch (error) {
-    res.status(400).json({ error: error.message });
+  const user = await User.login(email, password);
+
+  // create a session
+  const { token, refreshToken } = await createSession(user);
+  res.status(200).json({ email, token, refreshToken });
+};
+
+// @desc    Exchange a refresh token for a new access and refresh token
+// @route   POST /api/users/refresh
+// @access  Public
+const refreshSession = async (req, res) => {
+  const { refreshToken } = req.body;
+  const { token: nextRefreshToken, doc } = await RefreshToken.rotate(refreshToken);
+  const user = await User.findById(doc.user_id).select("_id role");
+  if (!user) {
+    await RefreshToken.revokeFamily(doc.family);
+    throw new UnauthorizedError("Invalid refresh token");
   }
+
+  const token = generateToken(user._id, user.role, doc.family);
+  res.status(200).json({ token, refreshToken: nextRefreshToken });
+};
+
+// @desc    End the current session
+// @route   POST /api/users/logout
+// @access  Private
+const logoutUser = async (req, res) => {
+  await RefreshToken.revokeFamily(req.sessionId);
+  res.status(204).send();
+};
+
+// @desc    End every session of the current user
+// @route   POST /api/users/logout-all
+// @access  Private
+const logoutAllSessions = async (req, res) => {
+  await RefreshToken.revokeAllForUser(req.user._id);
+  res.status(204).send();
 };
 
 // @desc    Get user data
 // @route   GET /api/users/me
 // @access  Private
 const getMe = async (req, res) => {
-  try {
-    res.status(200).json(req.user);
-  } catch (error) {
-    res.status(400).json({ error: error.message });
+  const user = await User.findById(req.user._id).select("-password");
+  res.status(200).json(user);
+};
+
+// @desc    Update profile of the current user
+// @route   PATCH /api/users/me
+// @access  Private
+const updateMe = async (req, res) => {
+  const updates = User.pickProfile(req.body);
+  const rejected = Object.keys(req.body).filter((field) => !(field in updates));
+
+  if (rejected.length > 0) {
+    throw new ValidationError(
+      rejected.map((path) => ({ path, message: `${path} cannot be changed here` }))
+    );
+  }
+  if (Object.keys(updates).length === 0) {
+    throw new ValidationError([], "No profile fields to update");
+  }
+
+  const user = await User.findByIdAndUpdate(req.user._id, updates, {
+    new: true,
+    runValidators: true,
+  }).select("-password");
+  res.status(200).json(user);
+};
+
+// @desc    Get the due-date reminder preferences of the current user
+// @route   GET /api/users/me/reminders
+// @access  Private
+const getReminders = async (req, res) => {
+  const user = await User.findById(req.user._id);
+  res.status(200).json(user.reminders);
+};
+
+// @desc    Update the due-date reminder preferences of the current user
+// @route   PATCH /api/users/me/reminders
+// @access  Private
+const updateReminders = async (req, res) => {
+  const updates = User.pickReminders(req.body);
+  const rejected = Object.keys(req.body).filter((field) => !(field in updates));
+  if (rejected.length > 0) {
+    throw new ValidationError(
+      rejected.map((path) => ({ path, message: `${path} is not a reminder setting` }))
+    );
+  }
+
+  const user = await User.findById(req.user._id);
+  const channels = updates.channels || user.reminders.channels;
+  const webhookUrl = updates.webhookUrl || user.reminders.webhookUrl;
+  if (channels.includes("webhook") && !webhookUrl) {
+    throw new ValidationError([
+      { path: "webhookUrl", message: "webhookUrl is required for the webhook channel" },
+    ]);
+  }
+  const destinationError = updates.webhookUrl && (await checkDestination(updates.webhookUrl));
+  if (destinationError) {
+    throw new ValidationError([{ path: "webhookUrl", message: `webhookUrl ${destinationError}` }]);
+  }
+
+  const set = {};
+  for (const [field, value] of Object.entries(updates)) {
+    set[`reminders.${field}`] = field === "channels" ? [...new Set(value)] : value;
+  }
+  const updated = await User.findByIdAndUpdate(req.user._id, set, {
+    new: true,
+    runValidators: true,
+  });
+  res.status(200).json(updated.reminders);
+};
+
+// @desc    Delete the current user with their TodoTasks, projects, tags and reviews
+// @route   DELETE /api/users/me
+// @access  Private
+const deleteMe = async (req, res) => {
+  const user_id = req.user._id;
+  // first, so the deletions below are not sent to the user's own webhooks
+  const webhooks = await Webhook.find({ user_id }).distinct("_id");
+  await WebhookDelivery.deleteMany({ webhook_id: { $in: webhooks } });
+  await Webhook.deleteMany({ user_id });
+  // the way the owner would delete them, so collaborators keep their tasks
+  for (const project of await Project.find({ user_id })) {
+    await removeProject(project);
+  }
+  // tasks the user added to other people's projects stay with those projects
+  const filter = { user_id, project_id: null };
+  const todoTasks = await TodoTask.find(filter);
+  await TodoTask.deleteMany(filter);
+  for (const todoTask of todoTasks) {
+    await publishTaskChange("deleted", todoTask);
+  }
+  await Project.updateMany({ "members.user_id": user_id }, { $pull: { members: { user_id } } });
+  await Tag.deleteMany({ user_id });
+  await Notification.deleteMany({ user_id });
+
+  // open bookings hold seats on their departures until they are cancelled
+  const openBookings = await Booking.find({ user_id, status: { $in: ["pending", "confirmed"] } });
+  for (const booking of openBookings) {
+    await Booking.cancel(booking);
+  }
+  await Booking.deleteMany({ user_id });
+
+  // deleteMany skips the review hooks, so resync the affected tours here
+  const reviewedTours = await Review.distinct("tour_id", { user_id });
+  await Review.deleteMany({ user_id });
+  await Promise.all(reviewedTours.map((tour_id) => Review.syncTourRatings(tour_id)));
+
+  await RefreshToken.deleteMany({ user_id });
+  await User.deleteOne({ _id: user_id });
+  res.status(204).send();
+};
+
+// @desc    Change password of the current user
+// @route   POST /api/users/me/password
+// @access  Private
+const changePassword = async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  await User.changePassword(req.user._id, currentPassword, newPassword);
+  // sign out every other device; the session making the change stays
+  await RefreshToken.revokeAllForUser(req.user._id, { except: req.sessionId });
+  res.status(204).send();
+};
+
+// @desc    Mail a password reset link
+// @route   POST /api/users/forgot-password
+// @access  Public
+const forgotPassword = async (req, res) => {
+  const { email } = req.body;
+
+  const user = await User.findOne({ email });
+  if (user) {
+    const token = await PasswordResetToken.issue(user._id);
+    const appUrl = process.env.APP_URL || "http://localhost:3000";
+    await sendMail({
+      to: user.email,
+      subject: "Reset your password",
+      text:
+        `Use this link within an hour to choose a new password:\n\n` +
+        `${appUrl}/reset-password?token=${token}\n\n` +
+        `If you did not ask for a reset, you can ignore this message.`,
+    });
+  }
+  // same answer whether or not the account exists
+  res.status(202).json({ message: "If the account exists, a reset link has been sent" });
+};
+
+// @desc    Set a new password with a reset token
+// @route   POST /api/users/reset-password
+// @access  Public
+const resetPassword = async (req, res) => {
+  // the body schema checks password strength before the token is consumed,
+  // so a weak password does not burn it
+  const { token, newPassword } = req.body;
+  const user_id = await PasswordResetToken.consume(token);
+  await User.setPassword(user_id, newPassword);
+  await RefreshToken.revokeAllForUser(user_id);
+  res.status(204).send();
+};
+
+// @desc    List users
+// @route   GET /api/users
+// @access  Admin
+const getUsers = async (req, res) => {
+  const users = await User.find({}).select("-password").sort({ createdAt: -1 });
+  res.status(200).json(users);
+};
+
+// @desc    Change a user's role
+// @route   PATCH /api/users/:userId/role
+// @access  Admin
+const updateUserRole = async (req, res) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw new NotFoundError("User not found");
+  }
+  // keeps at least one admin able to manage roles
+  if (req.user._id.equals(userId)) {
+    throw new BadRequestError("You cannot change your own role");
+  }
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { role },
+    { new: true }
+  ).select("-password");
+  if (!user) {
+    throw new NotFoundError("User not found");
   }
+  res.status(200).json(user);
 };
 
 module.exports = {
   signupUser,
   loginUser,
+  refreshSession,
+  logoutUser,
+  logoutAllSessions,
   getMe,
+  updateMe,
+  deleteMe,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  getUsers,
+  updateUserRole,
+  getReminders,
+  updateReminders,
 };
@@ -0,0 +1,153 @@
+const mongoose = require("mongoose");
+const Webhook = require("../models/webhookModel");
+const WebhookDelivery = require("../models/webhookDeliveryModel");
+const { single, parseInteger } = require("../utils/queryParams");
+const { checkDestination } = require("../utils/outbound");
+const { ForbiddenError, NotFoundError, ValidationError } = require("../utils/errors");
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// load a webhook of the current user, with its secret when asked for
+const findOwnWebhook = async (id, user_id, { withSecret = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new NotFoundError("Webhook not found");
+  }
+  const query = Webhook.findOne({ _id: id, user_id });
+  const webhook = await (withSecret ? query.select("+secret") : query);
+  if (!webhook) {
+    throw new NotFoundError("Webhook not found");
+  }
+  return webhook;
+};
+
+// tours are run by admins, so only they may follow tour events
+const checkEvents = (events, user) => {
+  if (events && user.role !== "admin" && events.some((event) => event.startsWith("tour."))) {
+    throw new ForbiddenError("Only admins can subscribe to tour events");
+  }
+};
+
+// deliveries must not reach into our own network
+const checkUrl = async (url) => {
+  if (url === undefined) return;
+  const message = await checkDestination(url);
+  if (message) {
+    throw new ValidationError([{ path: "url", message: `url ${message}` }]);
+  }
+};
+
+// @desc    List the current user's webhooks
+// @route   GET /api/webhooks
+// @access  Private
+const getWebhooks = async (req, res) => {
+  const webhooks = await Webhook.find({ user_id: req.user._id }).sort({ createdAt: -1 });
+  res.status(200).json(webhooks);
+};
+
+// @desc    Register a webhook; the response is the only time its secret is shown
+// @route   POST /api/webhooks
+// @access  Private (tour events: admin)
+const createWebhook = async (req, res) => {
+  const fields = Webhook.pickUpdates(req.body);
+  checkEvents(fields.events, req.user);
+  await checkUrl(fields.url);
+  const webhook = await Webhook.create({
+    ...fields,
+    events: [...new Set(fields.events)],
+    active: true,
+    secret: Webhook.generateSecret(),
+    user_id: req.user._id,
+  });
+  res.status(201).json(webhook);
+};
+
+// @desc    Get one webhook
+// @route   GET /api/webhooks/:id
+// @access  Private (owner)
+const getWebhook = async (req, res) => {
+  res.status(200).json(await findOwnWebhook(req.params.id, req.user._id));
+};
+
+// @desc    Change a webhook; turning it back on clears its failure count
+// @route   PATCH /api/webhooks/:id
+// @access  Private (owner)
+const updateWebhook = async (req, res) => {
+  const webhook = await findOwnWebhook(req.params.id, req.user._id);
+  const updates = Webhook.pickUpdates(req.body);
+  checkEvents(updates.events, req.user);
+  await checkUrl(updates.url);
+  if (updates.events) {
+    updates.events = [...new Set(updates.events)];
+  }
+  if (updates.active && !webhook.active) {
+    Object.assign(updates, { failureCount: 0, disabledAt: null });
+  }
+  webhook.set(updates);
+  await webhook.save();
+  res.status(200).json(webhook);
+};
+
+// @desc    Delete a webhook and its delivery log
+// @route   DELETE /api/webhooks/:id
+// @access  Private (owner)
+const deleteWebhook = async (req, res) => {
+  const webhook = await findOwnWebhook(req.params.id, req.user._id);
+  await Webhook.deleteOne({ _id: webhook._id });
+  await WebhookDelivery.deleteMany({ webhook_id: webhook._id });
+  res.status(204).send();
+};
+
+// @desc    Replace the signing secret; the old one stops working at once
+// @route   POST /api/webhooks/:id/secret
+// @access  Private (owner)
+const rotateWebhookSecret = async (req, res) => {
+  const webhook = await findOwnWebhook(req.params.id, req.user._id, { withSecret: true });
+  webhook.secret = Webhook.generateSecret();
+  await webhook.save();
+  res.status(200).json({ secret: webhook.secret });
+};
+
+// @desc    List the deliveries of a webhook, newest first
+// @route   GET /api/webhooks/:id/deliveries?status=&page=&limit=
+// @access  Private (owner)
+const getWebhookDeliveries = async (req, res) => {
+  const webhook = await findOwnWebhook(req.params.id, req.user._id);
+  const pageParam = single(req.query, "page");
+  const limitParam = single(req.query, "limit");
+  const page =
+    pageParam === undefined ? 1 : parseInteger(pageParam, "page", { min: 1, max: 10000 });
+  const limit =
+    limitParam === undefined
+      ? DEFAULT_LIMIT
+      : parseInteger(limitParam, "limit", { min: 1, max: MAX_LIMIT });
+
+  const filter = { webhook_id: webhook._id };
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+  const [deliveries, total] = await Promise.all([
+    WebhookDelivery.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    WebhookDelivery.countDocuments(filter),
+  ]);
+  res.status(200).json({
+    deliveries,
+    page,
+    limit,
+    total,
+    totalPages: Math.ceil(total / limit),
+  });
+};
+
+module.exports = {
+  getWebhooks,
+  createWebhook,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  getWebhookDeliveries,
+};
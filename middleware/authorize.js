@@ -0,0 +1,17 @@
+const { ForbiddenError, UnauthorizedError } = require("../utils/errors");
+
+// Restrict a route to users holding one of the given roles.
+// Must run after requireAuth, which loads req.user.
+//
+//   router.patch("/:id/role", requireAuth, authorize("admin"), updateUserRole);
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    throw new UnauthorizedError();
+  }
+  if (!roles.includes(req.user.role)) {
+    throw new ForbiddenError();
+  }
+  next();
+};
+
+module.exports = authorize;
@@ -1,26 +1,139 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const {
+    AppError,
+    BadRequestError,
+    ConflictError,
+    NotFoundError,
+    ValidationError,
+} = require("../utils/errors");
+const { logger } = require("../utils/logger");
+
+// Tag each request with an id, reusing the one set by a proxy when it looks sane
+const requestId = (request, response, next) => {
+    const incoming = request.get("X-Request-Id");
+    request.id = incoming && /^[\w.-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+    response.set("X-Request-Id", request.id);
+    next();
+};
+
+// The matched route pattern, e.g. /api/todoTasks/:id. req.baseUrl is reset
+// when an error leaves a router, so the mount path is recovered from the URL.
+const routePattern = (request) => {
+    if (!request.route) return undefined;
+    const segments = request.originalUrl.split("?")[0].split("/").filter(Boolean);
+    const routeSegments = request.route.path.split("/").filter(Boolean);
+    const mount = segments.slice(0, segments.length - routeSegments.length);
+    return "/" + [...mount, ...routeSegments].join("/");
+};
+
+// Log one line per request once the response is sent. Bodies are only
+// logged at debug level, with sensitive fields redacted by the logger.
 const requestLogger = (request, response, next) => {
-    console.log("Method:", request.method);
-    console.log("Path:  ", request.path);
-    console.log("Body:  ", request.body);
-    console.log("---");
+    const start = process.hrtime.bigint();
+
+    response.on("finish", () => {
+        const status = response.statusCode;
+        const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+        logger[level]("request", {
+            requestId: request.id,
+            method: request.method,
+            route: routePattern(request),
+            path: request.originalUrl.split("?")[0],
+            status,
+            latencyMs: Number(process.hrtime.bigint() - start) / 1e6,
+            userId: request.user ? request.user._id : undefined,
+        });
+        if (request.body !== undefined) {
+            logger.debug("request body", { requestId: request.id, body: request.body });
+        }
+    });
+
     next();
 };
-  
-const unknownEndpoint = (request, response) => {
-    response.status(404).send({ error: "unknown endpoint" });
+
+const unknownEndpoint = (request, response, next) => {
+    next(new NotFoundError("Unknown endpoint"));
+};
+
+// Turn errors raised below the application layer (Mongoose, body parsing)
+// into the matching AppError
+const toAppError = (error) => {
+    if (error instanceof AppError) {
+        return error;
+    }
+    if (error instanceof mongoose.Error.ValidationError) {
+        const fields = Object.values(error.errors).map((e) => ({
+            path: e.path,
+            message: e.message,
+        }));
+        return new ValidationError(fields, "Validation failed");
+    }
+    // a malformed id names no document, for every resource alike
+    if (error instanceof mongoose.Error.CastError && error.path === "_id") {
+        return new NotFoundError("Not found");
+    }
+    if (error instanceof mongoose.Error.CastError) {
+        return new ValidationError(
+            [{ path: error.path, message: `${error.path} must be a valid ${error.kind}` }],
+            "Validation failed"
+        );
+    }
+    // optimistic concurrency: the document changed since it was loaded
+    if (error instanceof mongoose.Error.VersionError) {
+        return new ConflictError("Resource was modified by another request, try again");
+    }
+    // duplicate key from a unique index
+    if (error.code === 11000) {
+        const fields = Object.keys(error.keyValue || {}).map((path) => ({
+            path,
+            message: `${path} is already in use`,
+        }));
+        return new ConflictError("Resource already exists", fields);
+    }
+    // malformed JSON and other client errors from express.json()
+    if (error.type && error.status >= 400 && error.status < 500) {
+        return new BadRequestError(error.message);
+    }
+    return null;
 };
-  
+
 const errorHandler = (error, request, response, next) => {
-    console.error(error.message);
-  
-    response.status(500);
-    response.json({
-      message: error.message,
-    });
+    const appError = toAppError(error);
+
+    if (!appError || appError.status >= 500) {
+        logger.error(error.message, { requestId: request.id, error });
+    }
+
+    if (!appError) {
+        // unexpected errors only show their message outside production
+        return response.status(500).json({
+            error: {
+                code: "INTERNAL_ERROR",
+                message:
+                    process.env.NODE_ENV === "production"
+                        ? "Internal server error"
+                        : error.message,
+                requestId: request.id,
+            },
+        });
+    }
+
+    const body = {
+        code: appError.code,
+        message: appError.message,
+        requestId: request.id,
+    };
+    if (appError.fields) {
+        body.fields = appError.fields;
+    }
+    response.status(appError.status).json({ error: body });
 };
 
 module.exports = {
+    requestId,
     requestLogger,
     unknownEndpoint,
     errorHandler,
-};
\ No newline at end of file
+    toAppError,
+};
@@ -1,30 +1,39 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/userModel");
+const RefreshToken = require("../models/refreshTokenModel");
+const { UnauthorizedError } = require("../utils/errors");
 
 const requireAuth = async (req, res, next) => {
   // verify user is authenticated
   const { authorization } = req.headers;
 
   if (!authorization) {
-    return res.status(401).json({ error: "Authorization token required" });
+    throw new UnauthorizedError("Authorization token required");
   }
 
-//   console.log(authorization);
-//   console.log(authorization.split(" "));
-//   console.log(authorization.split(" ")[0]);
-//   console.log(authorization.split(" ")[1]);
-
   const token = authorization.split(" ")[1];
 
+  let payload;
   try {
-    const { _id } = jwt.verify(token, process.env.SECRET);
-
-    req.user = await User.findOne({ _id }).select("_id");
-    next();
+    payload = jwt.verify(token, process.env.SECRET);
   } catch (error) {
-    console.log(error);
-    res.status(401).json({ error: "Request is not authorized" });
+    throw new UnauthorizedError("Request is not authorized");
+  }
+  const { _id, sid } = payload;
+
+  // access tokens are only good while their session has not been revoked
+  if (!sid || !(await RefreshToken.isActive(sid))) {
+    throw new UnauthorizedError("Session has ended");
+  }
+
+  req.user = await User.findOne({ _id }).select("_id role");
+  if (!req.user) {
+    throw new UnauthorizedError("Request is not authorized");
   }
+  req.sessionId = sid;
+  // long-lived responses such as the task stream end with the token
+  req.tokenExpiresAt = payload.exp ? new Date(payload.exp * 1000) : null;
+  next();
 };
 
 module.exports = requireAuth;
@@ -0,0 +1,49 @@
+const multer = require("multer");
+const { ValidationError } = require("../utils/errors");
+
+const ACCEPTED_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+const maxBytes = () => Number(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024;
+
+// Accept a single image file from a multipart form into req.file (kept in
+// memory for processing). Wrong types, oversized files and stray fields are
+// reported as a 422 on the form field.
+//
+//   router.put("/:tourId/image", requireAuth, uploadImage("image"), uploadTourImage);
+const uploadImage = (field) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes(), files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!ACCEPTED_TYPES.includes(file.mimetype)) {
+        return cb(
+          new ValidationError([
+            { path: field, message: `${field} must be a JPEG, PNG or WebP file` },
+          ])
+        );
+      }
+      cb(null, true);
+    },
+  }).single(field);
+
+  return (req, res, next) => {
+    upload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const message =
+          error.code === "LIMIT_FILE_SIZE"
+            ? `${field} must be at most ${Math.floor(maxBytes() / 1024)} KB`
+            : `${field}: ${error.message}`;
+        return next(new ValidationError([{ path: field, message }]));
+      }
+      if (error) {
+        return next(error);
+      }
+      if (!req.file) {
+        return next(new ValidationError([{ path: field, message: `${field} is required` }]));
+      }
+      next();
+    });
+  };
+};
+
+module.exports = uploadImage;
@@ -0,0 +1,21 @@
+const { checkSchema } = require("../utils/validation");
+const { ValidationError } = require("../utils/errors");
+
+// Validate parts of the request against schemas from validators/ before the
+// controller runs. Failures go to errorHandler as a 422.
+//
+//   router.post("/", validate({ body: todoTaskSchemas.create }), addTodoTask);
+const validate = ({ body, params, query }) => (req, res, next) => {
+  const fields = [
+    ...(params ? checkSchema(params, req.params) : []),
+    ...(query ? checkSchema(query, req.query) : []),
+    ...(body ? checkSchema(body, req.body || {}) : []),
+  ];
+
+  if (fields.length > 0) {
+    return next(new ValidationError(fields));
+  }
+  next();
+};
+
+module.exports = validate;
@@ -0,0 +1,79 @@
+const mongoose = require("mongoose");
+const Tour = require("./tourModel");
+
+const Schema = mongoose.Schema;
+
+// which status a booking may move to from its current one
+const TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["completed", "cancelled"],
+  cancelled: [],
+  completed: [],
+};
+
+const bookingSchema = new Schema(
+  {
+    user_id: {
+      type: Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    tour_id: {
+      type: Schema.Types.ObjectId,
+      required: true,
+      ref: "Tour",
+    },
+    departure_id: {
+      type: Schema.Types.ObjectId,
+      required: true,
+    },
+    departureDate: {
+      type: Date,
+      required: true,
+    },
+    seats: {
+      type: Number,
+      required: true,
+      min: 1,
+      default: 1,
+    },
+    status: {
+      type: String,
+      enum: Object.keys(TRANSITIONS),
+      default: "pending",
+    },
+    cancelledAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+bookingSchema.index({ user_id: 1, createdAt: -1 });
+
+// static canTransition method
+bookingSchema.statics.canTransition = function (from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+};
+
+// static cancel method: cancel a booking that is still in the status it was
+// loaded with and give its seats back to the departure. Returns the updated
+// booking, or null when another request changed it in the meantime.
+bookingSchema.statics.cancel = async function (booking) {
+  const cancelled = await this.findOneAndUpdate(
+    { _id: booking._id, status: booking.status },
+    { status: "cancelled", cancelledAt: new Date() },
+    { new: true }
+  );
+  if (cancelled) {
+    await Tour.updateOne(
+      { _id: booking.tour_id, "departures._id": booking.departure_id },
+      { $inc: { "departures.$.seatsAvailable": booking.seats } },
+      // also for a tour in the trash, so its seats are right if it is restored
+      { withDeleted: true }
+    );
+  }
+  return cancelled;
+};
+
+module.exports = mongoose.model("Booking", bookingSchema);
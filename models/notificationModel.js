@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// what happened to a notification on one delivery channel
+const deliverySchema = new mongoose.Schema(
+  {
+    channel: { type: String, required: true },
+    ok: { type: Boolean, required: true },
+    error: { type: String },
+    at: { type: Date, required: true, default: Date.now },
+  },
+  { _id: false }
+);
+
+// a message for a user, listed at GET /api/notifications; created by the
+// reminder job (utils/reminders.js) and delivered on the user's channels, or
+// when one of the user's webhooks is disabled (utils/webhooks.js)
+const notificationSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ["due_soon", "overdue", "webhook_disabled"],
+    },
+    message: { type: String, required: true },
+    todoTask_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TodoTask",
+    },
+    // the due date the reminder is about; a rescheduled task is reminded again
+    dueDate: { type: Date },
+    readAt: { type: Date, default: null },
+    deliveries: [deliverySchema],
+  },
+  { timestamps: true }
+);
+
+// newest first in the inbox, and unread counts
+notificationSchema.index({ user_id: 1, createdAt: -1 });
+notificationSchema.index({ user_id: 1, readAt: 1 });
+// one reminder of each type per task and due date, even with several job runs
+notificationSchema.index(
+  { todoTask_id: 1, type: 1, dueDate: 1 },
+  { unique: true, partialFilterExpression: { todoTask_id: { $exists: true } } }
+);
+
+module.exports = mongoose.model("Notification", notificationSchema);
@@ -0,0 +1,72 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { BadRequestError } = require("../utils/errors");
+
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+const Schema = mongoose.Schema;
+
+// One-time password reset tokens. Only the hash is stored; the plain token
+// is mailed to the user.
+const passwordResetTokenSchema = new Schema(
+  {
+    user_id: {
+      type: Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    usedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+passwordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// static issue method: create a reset token for a user
+passwordResetTokenSchema.statics.issue = async function (user_id) {
+  const token = crypto.randomBytes(32).toString("hex");
+  await this.create({
+    user_id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MS),
+  });
+  return token;
+};
+
+// static consume method: mark a valid token as used and return its user id
+passwordResetTokenSchema.statics.consume = async function (token) {
+  if (!token || typeof token !== "string") {
+    throw new BadRequestError("Reset token required");
+  }
+
+  const resetToken = await this.findOneAndUpdate(
+    { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } },
+    { usedAt: new Date() }
+  );
+  if (!resetToken) {
+    throw new BadRequestError("Invalid or expired reset token");
+  }
+
+  // any other outstanding links for this user are void now
+  await this.updateMany(
+    { user_id: resetToken.user_id, usedAt: null },
+    { usedAt: new Date() }
+  );
+  return resetToken.user_id;
+};
+
+module.exports = mongoose.model("PasswordResetToken", passwordResetTokenSchema);
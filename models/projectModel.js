@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// someone the owner shared the project with
+const memberSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    role: { type: String, required: true, enum: ["viewer", "editor"] },
+  },
+  { _id: false }
+);
+
+// a shared list of TodoTasks
+const projectSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, maxlength: 200 },
+    description: { type: String, default: "", maxlength: 5000 },
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    members: [memberSchema],
+  },
+  { timestamps: true }
+);
+
+projectSchema.index({ user_id: 1 });
+projectSchema.index({ "members.user_id": 1 });
+
+// static accessibleBy method
+// filter for the projects a user owns or is a member of
+projectSchema.statics.accessibleBy = function (user_id) {
+  return { $or: [{ user_id }, { "members.user_id": user_id }] };
+};
+
+// "owner", "editor", "viewer" or null when the user has no access
+projectSchema.methods.roleOf = function (user_id) {
+  if (this.user_id.equals(user_id)) {
+    return "owner";
+  }
+  const member = this.members.find((m) => m.user_id.equals(user_id));
+  return member ? member.role : null;
+};
+
+projectSchema.methods.canEdit = function (user_id) {
+  return ["owner", "editor"].includes(this.roleOf(user_id));
+};
+
+module.exports = mongoose.model("Project", projectSchema);
@@ -0,0 +1,117 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const { UnauthorizedError } = require("../utils/errors");
+
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const Schema = mongoose.Schema;
+
+// Every login starts a session (a "family" of refresh tokens). Each refresh
+// rotates the token: the old one is marked as replaced and a new one is
+// issued in the same family. Only the hash of a token is ever stored.
+const refreshTokenSchema = new Schema(
+  {
+    user_id: {
+      type: Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    family: {
+      type: Schema.Types.ObjectId,
+      required: true,
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    replacedBy: {
+      type: Schema.Types.ObjectId,
+      default: null,
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// let MongoDB drop expired tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// static issue method: create a refresh token, in a new family unless given one
+refreshTokenSchema.statics.issue = async function (user_id, family) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const doc = await this.create({
+    user_id,
+    family: family || new mongoose.Types.ObjectId(),
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+  return { token, doc };
+};
+
+// static rotate method: exchange a refresh token for a new one in its family
+refreshTokenSchema.statics.rotate = async function (token) {
+  if (!token || typeof token !== "string") {
+    throw new UnauthorizedError("Refresh token required");
+  }
+
+  const current = await this.findOne({ tokenHash: hashToken(token) });
+  if (!current || current.revokedAt || current.expiresAt <= new Date()) {
+    throw new UnauthorizedError("Invalid refresh token");
+  }
+
+  const next = await this.issue(current.user_id, current.family);
+
+  // claim the old token atomically so it can only be rotated once
+  const claimed = await this.findOneAndUpdate(
+    { _id: current._id, replacedBy: null },
+    { replacedBy: next.doc._id }
+  );
+  if (!claimed) {
+    // an already rotated token was presented again: assume it was stolen
+    // and end the whole session
+    await this.revokeFamily(current.family);
+    throw new UnauthorizedError("Refresh token reuse detected");
+  }
+
+  return next;
+};
+
+// static isActive method: whether a session can still be used
+refreshTokenSchema.statics.isActive = async function (family) {
+  if (!mongoose.Types.ObjectId.isValid(family)) {
+    return false;
+  }
+  const active = await this.exists({
+    family,
+    replacedBy: null,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+  return Boolean(active);
+};
+
+refreshTokenSchema.statics.revokeFamily = function (family) {
+  return this.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+};
+
+// static revokeAllForUser method: end every session, optionally keeping one
+refreshTokenSchema.statics.revokeAllForUser = function (user_id, { except } = {}) {
+  const filter = { user_id, revokedAt: null };
+  if (except) {
+    filter.family = { $ne: except };
+  }
+  return this.updateMany(filter, { revokedAt: new Date() });
+};
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
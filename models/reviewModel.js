@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+const Tour = require("./tourModel");
+
+const Schema = mongoose.Schema;
+
+const reviewSchema = new Schema(
+  {
+    user_id: {
+      type: Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    tour_id: {
+      type: Schema.Types.ObjectId,
+      required: true,
+      ref: "Tour",
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+      validate: {
+        validator: Number.isInteger,
+        message: "rating must be a whole number",
+      },
+    },
+    comment: {
+      type: String,
+      maxlength: 2000,
+      default: "",
+    },
+  },
+  { timestamps: true }
+);
+
+// one review per user and tour; also backs the listing of a tour's reviews
+reviewSchema.index({ tour_id: 1, user_id: 1 }, { unique: true });
+reviewSchema.index({ tour_id: 1, createdAt: -1 });
+
+// static syncTourRatings method
+// recompute the denormalized ratingsAverage and ratingsCount of a tour
+reviewSchema.statics.syncTourRatings = async function (tour_id) {
+  const [stats] = await this.aggregate([
+    { $match: { tour_id: new mongoose.Types.ObjectId(String(tour_id)) } },
+    {
+      $group: {
+        _id: "$tour_id",
+        ratingsCount: { $sum: 1 },
+        ratingsAverage: { $avg: "$rating" },
+      },
+    },
+  ]);
+
+  await Tour.updateOne(
+    { _id: tour_id },
+    stats
+      ? {
+          ratingsCount: stats.ratingsCount,
+          ratingsAverage: Math.round(stats.ratingsAverage * 10) / 10,
+        }
+      : { ratingsCount: 0, ratingsAverage: 0 },
+    // tours in the trash stay current, so a restored tour needs no resync
+    { withDeleted: true }
+  );
+};
+
+// keep the tour in sync whenever a single review changes
+reviewSchema.post("save", async function (doc) {
+  await doc.constructor.syncTourRatings(doc.tour_id);
+});
+reviewSchema.post(["findOneAndUpdate", "findOneAndDelete"], async function (doc) {
+  if (doc) {
+    await doc.constructor.syncTourRatings(doc.tour_id);
+  }
+});
+
+module.exports = mongoose.model("Review", reviewSchema);
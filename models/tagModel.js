@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+// a user's label for TodoTasks; tasks store tag names, the color lives here
+const tagSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 50,
+      // commas separate tags in ?tags= filters
+      match: [/^[^,]+$/, "Tag name cannot contain commas"],
+    },
+    color: {
+      type: String,
+      required: true,
+      default: "#808080",
+      match: [/^#[0-9a-fA-F]{6}$/, "Color must be a hex code such as #ff8800"],
+    },
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+tagSchema.index({ user_id: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model("Tag", tagSchema);
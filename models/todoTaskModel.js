@@ -1,4 +1,28 @@
 const mongoose = require("mongoose");
+const versionEveryWrite = require("../utils/versioning");
+const softDelete = require("../utils/softDelete");
+const Project = require("./projectModel");
+const { nextOccurrence, WEEKDAYS } = require("../utils/recurrence");
+const { ForbiddenError, NotFoundError } = require("../utils/errors");
+
+// one entry of a task's checklist; items are kept in display order
+const checklistItemSchema = new mongoose.Schema({
+  text: { type: String, required: true, maxlength: 500 },
+  completed: { type: Boolean, required: true, default: false },
+});
+
+// how a recurring task repeats, see utils/recurrence.js
+const recurrenceSchema = new mongoose.Schema(
+  {
+    freq: { type: String, required: true, enum: ["daily", "weekly", "monthly"] },
+    interval: { type: Number, required: true, min: 1, max: 365, default: 1 },
+    byWeekday: { type: [{ type: String, enum: WEEKDAYS }], default: undefined },
+    byMonthDay: { type: Number, min: 1, max: 31 },
+    until: { type: Date },
+    count: { type: Number, min: 1 },
+  },
+  { _id: false }
+);
 
 const todoTaskSchema = new mongoose.Schema(
   {
@@ -6,6 +30,40 @@ const todoTaskSchema = new mongoose.Schema(
     description: { type: String, required: true, default: "" },
     dueDate: { type: Date, required: true },
     completed: { type: Boolean, required: true, default: false },
+    priority: {
+      type: String,
+      required: true,
+      enum: ["low", "medium", "high", "urgent"],
+      default: "medium",
+    },
+    // names of the user's Tags; renaming or deleting a Tag updates these
+    tags: {
+      type: [{ type: String, trim: true }],
+      validate: {
+        validator: (tags) => tags.length <= 20,
+        message: "a task can have at most 20 tags",
+      },
+    },
+    checklist: {
+      type: [checklistItemSchema],
+      validate: {
+        validator: (items) => items.length <= 100,
+        message: "checklist can have at most 100 items",
+      },
+    },
+    // when set, completed follows the checklist instead of being set directly
+    autoComplete: { type: Boolean, required: true, default: false },
+    recurrence: { type: recurrenceSchema, default: null },
+    // tasks in a project are shared with its members; user_id is the creator
+    project_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      default: null,
+    },
+    // occurrences of a recurring task share the series_id of the first one
+    series_id: { type: mongoose.Schema.Types.ObjectId, default: null },
+    occurrence: { type: Number, min: 1, default: 1 },
+    nextOccurrence_id: { type: mongoose.Schema.Types.ObjectId, default: null },
     user_id: {
       type: mongoose.Schema.Types.ObjectId,
       required: true,
@@ -15,4 +73,137 @@ const todoTaskSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// the default listing is a user's tasks, newest first
+todoTaskSchema.index({ user_id: 1, createdAt: -1 });
+todoTaskSchema.index({ series_id: 1, occurrence: 1 }, { sparse: true });
+todoTaskSchema.index({ user_id: 1, tags: 1 });
+todoTaskSchema.index({ project_id: 1, createdAt: -1 }, { sparse: true });
+
+// Fields a client may change through an update. The owner, ids, timestamps,
+// the checklist (own endpoints) and the series bookkeeping are managed here.
+const UPDATABLE_FIELDS = [
+  "title",
+  "description",
+  "dueDate",
+  "completed",
+  "autoComplete",
+  "priority",
+  "tags",
+  "recurrence",
+  "project_id",
+];
+
+// static pickUpdates method: keep only the updatable fields
+todoTaskSchema.statics.pickUpdates = function (body) {
+  const updates = {};
+  for (const field of UPDATABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      updates[field] = body[field];
+    }
+  }
+  return updates;
+};
+
+// static findAccessible method
+// Load a TodoTask the user may see, or throw. Personal tasks belong to their
+// user; tasks in a project to everyone the project is shared with, where
+// viewers may only read. Tasks out of reach look like they do not exist.
+// Malformed ids are a 404, like for every other resource.
+// With deleted: true it looks in the trash instead.
+todoTaskSchema.statics.findAccessible = async function (
+  id,
+  user_id,
+  { write = false, deleted = false } = {}
+) {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new NotFoundError("No such todoTask");
+  }
+  const todoTask = await this.findOne({ _id: id, deletedAt: deleted ? { $ne: null } : null });
+  if (!todoTask) {
+    throw new NotFoundError("TodoTask not found");
+  }
+
+  if (!todoTask.project_id) {
+    if (!todoTask.user_id.equals(user_id)) {
+      throw new NotFoundError("TodoTask not found");
+    }
+    return todoTask;
+  }
+  const project = await Project.findById(todoTask.project_id);
+  const role = project && project.roleOf(user_id);
+  if (!role) {
+    throw new NotFoundError("TodoTask not found");
+  }
+  if (write && role === "viewer") {
+    throw new ForbiddenError("Viewers cannot change tasks in this project");
+  }
+  return todoTask;
+};
+
+// share of checklist items done, 0-100; without items it mirrors completed
+todoTaskSchema.virtual("progress").get(function () {
+  const items = this.checklist || [];
+  if (items.length === 0) {
+    return this.completed ? 100 : 0;
+  }
+  const done = items.filter((item) => item.completed).length;
+  return Math.round((done / items.length) * 100);
+});
+
+// derive completed from the checklist for tasks that ask for it
+todoTaskSchema.pre("save", function () {
+  if (this.autoComplete && this.checklist.length > 0) {
+    this.completed = this.checklist.every((item) => item.completed);
+  }
+});
+
+// Create the next occurrence of a completed recurring task, once. Returns the
+// new task, or null when there is nothing (more) to spawn.
+todoTaskSchema.methods.spawnNextOccurrence = async function () {
+  if (!this.completed || !this.recurrence || this.nextOccurrence_id) {
+    return null;
+  }
+  const dueDate = nextOccurrence(this.recurrence, this.dueDate, this.occurrence);
+  if (!dueDate) {
+    return null;
+  }
+
+  // claim the spawn first, so concurrent completions create one occurrence
+  const nextId = new mongoose.Types.ObjectId();
+  const claimed = await this.constructor.findOneAndUpdate(
+    { _id: this._id, nextOccurrence_id: null },
+    { nextOccurrence_id: nextId },
+    { new: true }
+  );
+  if (!claimed) {
+    return null;
+  }
+  this.set({ nextOccurrence_id: nextId, __v: claimed.__v });
+
+  const recurrence = this.recurrence.toObject();
+  // pin the day of month, or a 31st would drift after a shorter month
+  if (recurrence.freq === "monthly" && !recurrence.byMonthDay) {
+    recurrence.byMonthDay = this.dueDate.getUTCDate();
+  }
+
+  return this.constructor.create({
+    _id: nextId,
+    title: this.title,
+    description: this.description,
+    dueDate,
+    autoComplete: this.autoComplete,
+    priority: this.priority,
+    tags: this.tags,
+    checklist: this.checklist.map((item) => ({ text: item.text })),
+    recurrence,
+    project_id: this.project_id,
+    series_id: this.series_id || this._id,
+    occurrence: this.occurrence + 1,
+    user_id: this.user_id,
+  });
+};
+
+todoTaskSchema.plugin(versionEveryWrite);
+todoTaskSchema.plugin(softDelete);
+
 module.exports = mongoose.model("TodoTask", todoTaskSchema);
@@ -1,7 +1,28 @@
 const mongoose = require("mongoose");
+const versionEveryWrite = require("../utils/versioning");
+const softDelete = require("../utils/softDelete");
+const { ForbiddenError, NotFoundError } = require("../utils/errors");
 
 const Schema = mongoose.Schema;
 
+// a scheduled run of the tour; seatsAvailable is decremented atomically by bookings
+const departureSchema = new Schema({
+  date: {
+    type: Date,
+    required: true,
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  seatsAvailable: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+});
+
 const tourSchema = new Schema(
   {
     name: {
@@ -12,16 +33,90 @@ const tourSchema = new Schema(
       type: String,
       required: true,
     },
+    // public URLs of the uploaded image, set by PUT /api/tours/:tourId/image
     image: {
       type: String,
-      required: true,
     },
-    price: {
+    thumbnail: {
       type: String,
+    },
+    // storage keys of the files above, removed when they are replaced
+    imageKeys: {
+      type: [String],
+      select: false,
+    },
+    price: {
+      type: Number,
       required: true,
+      min: 0,
+    },
+    user_id: {
+      type: Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    departures: [departureSchema],
+    // maintained by the Review model from the tour's reviews
+    ratingsAverage: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 5,
+    },
+    ratingsCount: {
+      type: Number,
+      default: 0,
+      min: 0,
     },
   },
   { timestamps: true }
 );
 
+// editors and admins administer the whole catalog; other users only their own tours
+tourSchema.methods.isManageableBy = function (user) {
+  return (
+    ["editor", "admin"].includes(user.role) ||
+    Boolean(this.user_id && this.user_id.equals(user._id))
+  );
+};
+
+// Fields a client may set on create and update. The owner, departures (own
+// endpoint, so seat counts are never overwritten), ratings (computed from
+// reviews), the image (uploaded) and timestamps are managed by the server.
+const UPDATABLE_FIELDS = ["name", "info", "price"];
+
+// static pickUpdates method: keep only the updatable fields
+tourSchema.statics.pickUpdates = function (body) {
+  const updates = {};
+  for (const field of UPDATABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      updates[field] = body[field];
+    }
+  }
+  return updates;
+};
+
+// static findManageable method: load a tour the user may change, or throw
+tourSchema.statics.findManageable = async function (tourId, user) {
+  if (!mongoose.Types.ObjectId.isValid(tourId)) {
+    throw new NotFoundError("Tour not found");
+  }
+  const tour = await this.findById(tourId).select("+imageKeys");
+  if (!tour) {
+    throw new NotFoundError("Tour not found");
+  }
+  if (!tour.isManageableBy(user)) {
+    throw new ForbiddenError("Not allowed to modify this tour");
+  }
+  return tour;
+};
+
+// backs the ?q= search of the catalog
+tourSchema.index({ name: "text", info: "text" });
+tourSchema.index({ price: 1 });
+tourSchema.index({ ratingsAverage: -1, ratingsCount: -1 });
+
+tourSchema.plugin(versionEveryWrite);
+tourSchema.plugin(softDelete);
+
 module.exports = mongoose.model("Tour", tourSchema);
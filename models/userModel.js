@@ -1,6 +1,12 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const validator = require("validator");
+const { CHANNELS } = require("../utils/notificationChannels");
+const {
+  BadRequestError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
 
 const userSchema = mongoose.Schema(
   {
@@ -17,35 +23,123 @@ const userSchema = mongoose.Schema(
       type: String,
       required: [true, "Please add a password"],
     },
+    role: {
+      type: String,
+      enum: ["user", "editor", "admin"],
+      default: "user",
+    },
+    phone_number: {
+      type: String,
+      match: [/^\d{10,}$/, "Phone number must contain at least 10 digits"],
+    },
+    gender: {
+      type: String,
+      enum: ["Male", "Female", "Other"],
+    },
+    date_of_birth: {
+      type: Date,
+      validate: {
+        validator: (value) => value <= new Date(),
+        message: "Date of birth cannot be in the future",
+      },
+    },
+    membership_status: {
+      type: String,
+      enum: ["Active", "Inactive", "Suspended"],
+    },
+    // due-date reminders for the user's TodoTasks, see utils/reminders.js
+    reminders: {
+      enabled: { type: Boolean, default: true },
+      // how long before the due date to remind, at most a week
+      leadMinutes: { type: Number, default: 60, min: 5, max: 7 * 24 * 60 },
+      overdue: { type: Boolean, default: true },
+      channels: {
+        type: [{ type: String, enum: CHANNELS }],
+        default: ["in_app"],
+      },
+      // where the webhook channel POSTs to
+      webhookUrl: { type: String },
+    },
   },
   {
     timestamps: true,
+    toJSON: {
+      // never send the password hash to a client
+      transform: (doc, ret) => {
+        delete ret.password;
+        return ret;
+      },
+    },
   }
 );
 
+// profile fields users may set at signup and edit afterwards
+const PROFILE_FIELDS = [
+  "name",
+  "phone_number",
+  "gender",
+  "date_of_birth",
+  "membership_status",
+];
+
+// reminder preferences users may change
+const REMINDER_FIELDS = ["enabled", "leadMinutes", "overdue", "channels", "webhookUrl"];
+
+// static pickReminders method: keep only the reminder preferences
+userSchema.statics.pickReminders = function (body) {
+  const reminders = {};
+  for (const field of REMINDER_FIELDS) {
+    if (body[field] !== undefined) {
+      reminders[field] = body[field];
+    }
+  }
+  return reminders;
+};
+
+// static pickProfile method: keep only the editable profile fields
+userSchema.statics.pickProfile = function (body) {
+  const profile = {};
+  for (const field of PROFILE_FIELDS) {
+    if (body[field] !== undefined) {
+      profile[field] = body[field];
+    }
+  }
+  return profile;
+};
+
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
 // static signup method
-userSchema.statics.signup = async function (name, email, password) {
+userSchema.statics.signup = async function (name, email, password, profile = {}) {
   // validation
-  if ((!name, !email || !password)) {
-    throw Error("Please add all fields");
+  const missing = Object.entries({ name, email, password })
+    .filter(([, value]) => !value)
+    .map(([path]) => ({ path, message: `${path} is required` }));
+  if (missing.length > 0) {
+    throw new ValidationError(missing, "Please add all fields");
   }
   if (!validator.isEmail(email)) {
-    throw Error("Email not valid");
+    throw new ValidationError([{ path: "email", message: "Email not valid" }]);
   }
   if (!validator.isStrongPassword(password)) {
-    throw Error("Password not strong enough");
+    throw new ValidationError([
+      { path: "password", message: "Password not strong enough" },
+    ]);
   }
 
   const userExists = await this.findOne({ email });
 
   if (userExists) {
-    throw new Error("User already exists");
+    throw new ValidationError([{ path: "email", message: "User already exists" }]);
   }
 
-  const salt = await bcrypt.genSalt(10);
-  const hashedPassword = await bcrypt.hash(password, salt);
+  const hashedPassword = await hashPassword(password);
 
   const user = await this.create({
+    ...profile,
     name,
     email,
     password: hashedPassword,
@@ -57,20 +151,59 @@ userSchema.statics.signup = async function (name, email, password) {
 // static login method
 userSchema.statics.login = async function (email, password) {
   if (!email || !password) {
-    throw Error("All fields must be filled");
+    throw new BadRequestError("All fields must be filled");
   }
 
   const user = await this.findOne({ email });
   if (!user) {
-    throw Error("Incorrect email");
+    throw new BadRequestError("Incorrect email");
   }
 
   const match = await bcrypt.compare(password, user.password);
   if (!match) {
-    throw Error("Incorrect password");
+    throw new BadRequestError("Incorrect password");
   }
 
   return user;
 };
 
+// static setPassword method
+userSchema.statics.setPassword = async function (user_id, newPassword) {
+  if (!newPassword) {
+    throw new ValidationError([{ path: "newPassword", message: "New password required" }]);
+  }
+  if (!validator.isStrongPassword(newPassword)) {
+    throw new ValidationError([
+      { path: "newPassword", message: "Password not strong enough" },
+    ]);
+  }
+
+  const user = await this.findByIdAndUpdate(user_id, {
+    password: await hashPassword(newPassword),
+  });
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+  return user;
+};
+
+// static changePassword method
+userSchema.statics.changePassword = async function (user_id, currentPassword, newPassword) {
+  if (!currentPassword || !newPassword) {
+    throw new BadRequestError("All fields must be filled");
+  }
+
+  const user = await this.findById(user_id);
+  if (!user) {
+    throw new NotFoundError("User not found");
+  }
+
+  const match = await bcrypt.compare(currentPassword, user.password);
+  if (!match) {
+    throw new BadRequestError("Incorrect password");
+  }
+
+  return this.setPassword(user_id, newPassword);
+};
+
 module.exports = mongoose.model("User", userSchema);
@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+const DELIVERY_LOG_TTL_SECONDS = 30 * 24 * 60 * 60; // 30 days
+
+// one try at POSTing a delivery to its webhook
+const attemptSchema = new mongoose.Schema(
+  {
+    at: { type: Date, required: true },
+    ok: { type: Boolean, required: true },
+    // the receiver's HTTP status, when it answered
+    responseStatus: { type: Number },
+    error: { type: String },
+    durationMs: { type: Number },
+  },
+  { _id: false }
+);
+
+// An event on its way to one webhook, and the log of its attempts, listed at
+// GET /api/webhooks/:id/deliveries. A pending delivery is tried again at
+// nextAttemptAt (see utils/webhooks.js) until it succeeds or gives up.
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "Webhook",
+    },
+    event: { type: String, required: true },
+    // the JSON body that is sent, the same on every attempt
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    status: {
+      type: String,
+      enum: ["pending", "succeeded", "failed"],
+      default: "pending",
+    },
+    attempts: [attemptSchema],
+    nextAttemptAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// the retry job picks up due deliveries
+webhookDeliverySchema.index(
+  { nextAttemptAt: 1 },
+  { partialFilterExpression: { status: "pending" } }
+);
+webhookDeliverySchema.index({ webhook_id: 1, createdAt: -1 });
+// let MongoDB drop old log entries
+webhookDeliverySchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: DELIVERY_LOG_TTL_SECONDS }
+);
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
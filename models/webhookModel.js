@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+
+// tour events can only be subscribed to by admins
+const WEBHOOK_EVENTS = [
+  "todoTask.created",
+  "todoTask.updated",
+  "todoTask.deleted",
+  "tour.created",
+  "tour.updated",
+  "tour.deleted",
+];
+
+// An endpoint a user registered (POST /api/webhooks) to be told about the
+// events it subscribed to. Every payload is signed with the secret, which is
+// only shown when the webhook is created or its secret rotated. Deliveries
+// are made by utils/webhooks.js, which disables a webhook after too many
+// failures in a row.
+const webhookSchema = new mongoose.Schema(
+  {
+    user_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      ref: "User",
+    },
+    url: { type: String, required: true },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: "A webhook needs at least one event",
+      },
+    },
+    description: { type: String, maxlength: 200 },
+    secret: { type: String, required: true, select: false },
+    active: { type: Boolean, default: true },
+    // failed delivery attempts since the last successful one
+    failureCount: { type: Number, default: 0 },
+    disabledAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+webhookSchema.index({ user_id: 1, createdAt: -1 });
+// finding the webhooks an event goes to
+webhookSchema.index({ events: 1, active: 1 });
+
+// the events a webhook can subscribe to, for the request validators
+webhookSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+// static generateSecret method: a new signing secret
+webhookSchema.statics.generateSecret = function () {
+  return "whsec_" + crypto.randomBytes(24).toString("hex");
+};
+
+const UPDATABLE_FIELDS = ["url", "events", "description", "active"];
+
+// static pickUpdates method: keep only the updatable fields
+webhookSchema.statics.pickUpdates = function (body) {
+  const updates = {};
+  for (const field of UPDATABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      updates[field] = body[field];
+    }
+  }
+  return updates;
+};
+
+module.exports = mongoose.model("Webhook", webhookSchema);
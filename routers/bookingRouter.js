@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getBooking,
+  updateBookingStatus,
+} = require("../controllers/bookingController");
+const requireAuth = require("../middleware/requireAuth");
+const validate = require("../middleware/validate");
+const bookingSchemas = require("../validators/bookingSchemas");
+
+// bookings are created under /api/tours/:tourId/bookings and listed
+// under /api/users/me/bookings; these routes act on a single booking
+router.use(requireAuth);
+
+router.get("/:bookingId", getBooking);
+router.patch("/:bookingId", validate({ body: bookingSchemas.updateStatus }), updateBookingStatus);
+
+module.exports = router;
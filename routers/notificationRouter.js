@@ -0,0 +1,19 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getNotifications,
+  updateNotification,
+  markAllRead,
+} = require("../controllers/notificationController");
+const requireAuth = require("../middleware/requireAuth");
+const validate = require("../middleware/validate");
+const notificationSchemas = require("../validators/notificationSchemas");
+
+// every user sees only their own notifications
+router.use(requireAuth);
+
+router.get("/", validate({ query: notificationSchemas.listQuery }), getNotifications);
+router.post("/read-all", markAllRead);
+router.patch("/:id", validate({ body: notificationSchemas.update }), updateNotification);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getProjects,
+  addProject,
+  getProject,
+  updateProject,
+  deleteProject,
+  addMember,
+  updateMember,
+  removeMember,
+} = require("../controllers/projectController");
+const requireAuth = require("../middleware/requireAuth");
+const validate = require("../middleware/validate");
+const projectSchemas = require("../validators/projectSchemas");
+
+// projects are visible to their owner and members; roles are checked in the controller
+router.use(requireAuth);
+
+router.get("/", getProjects);
+router.post("/", validate({ body: projectSchemas.create }), addProject);
+router.get("/:id", getProject);
+router.patch("/:id", validate({ body: projectSchemas.update }), updateProject);
+router.delete("/:id", deleteProject);
+
+// sharing
+router.post("/:id/members", validate({ body: projectSchemas.addMember }), addMember);
+router.patch(
+  "/:id/members/:userId",
+  validate({ body: projectSchemas.updateMember }),
+  updateMember
+);
+router.delete("/:id/members/:userId", removeMember);
+
+module.exports = router;
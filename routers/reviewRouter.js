@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const {
+  updateReview,
+  deleteReview,
+} = require("../controllers/reviewController");
+const requireAuth = require("../middleware/requireAuth");
+const validate = require("../middleware/validate");
+const reviewSchemas = require("../validators/reviewSchemas");
+
+// reviews are created and listed under /api/tours/:tourId/reviews
+router.use(requireAuth);
+
+router.patch("/:reviewId", validate({ body: reviewSchemas.update }), updateReview);
+router.delete("/:reviewId", deleteReview);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getTags,
+  addTag,
+  updateTag,
+  deleteTag,
+} = require("../controllers/tagController");
+const requireAuth = require("../middleware/requireAuth");
+const validate = require("../middleware/validate");
+const tagSchemas = require("../validators/tagSchemas");
+
+// tags are private to each user
+router.use(requireAuth);
+
+router.get("/", getTags);
+router.post("/", validate({ body: tagSchemas.create }), addTag);
+router.patch("/:id", validate({ body: tagSchemas.update }), updateTag);
+router.delete("/:id", deleteTag);
+
+module.exports = router;
@@ -5,9 +5,22 @@ const {
   addTodoTask,
   getTodoTask,
   deleteTodoTask,
+  getDeletedTodoTasks,
+  restoreTodoTask,
+  replaceTodoTask,
   updateTodoTask,
+  bulkTodoTasks,
+  exportTodoTasks,
+  importTodoTasks,
+  streamTodoTasks,
+  addChecklistItem,
+  updateChecklistItem,
+  removeChecklistItem,
+  reorderChecklist,
 } = require("../controllers/todoTaskController");
 const requireAuth = require("../middleware/requireAuth");
+const validate = require("../middleware/validate");
+const todoTaskSchemas = require("../validators/todoTaskSchemas");
 
 // require auth for all workout routes
 router.use(requireAuth);
@@ -16,15 +29,65 @@ router.use(requireAuth);
 router.get("/", getTodoTasks);
 
 // POST a new TodoTask
-router.post("/", addTodoTask);
+router.post("/", validate({ body: todoTaskSchemas.create }), addTodoTask);
+
+// POST a batch of creates, updates and deletes
+router.post("/bulk", validate({ body: todoTaskSchemas.bulk }), bulkTodoTasks);
+
+// Download all TodoTasks, or create them from a CSV or JSON file
+router.get("/export", validate({ query: todoTaskSchemas.exportQuery }), exportTodoTasks);
+router.post(
+  "/import",
+  express.text({ type: "text/csv", limit: "1mb" }),
+  validate({ query: todoTaskSchemas.importQuery }),
+  importTodoTasks
+);
+
+// Follow changes to TodoTasks as Server-Sent Events
+router.get("/stream", streamTodoTasks);
+
+// GET deleted TodoTasks
+router.get("/trash", getDeletedTodoTasks);
 
 // GET a single TodoTask
 router.get("/:id", getTodoTask);
 
-// DELETE a TodoTask
+// DELETE a TodoTask (moves it to the trash)
 router.delete("/:id", deleteTodoTask);
 
-// Update TodoTask using PUT
-router.put("/:id", updateTodoTask);
+// Restore a TodoTask from the trash
+router.post("/:id/restore", restoreTodoTask);
+
+// Replace a TodoTask using PUT
+router.put(
+  "/:id",
+  validate({ body: todoTaskSchemas.replace, query: todoTaskSchemas.replaceQuery }),
+  replaceTodoTask
+);
+
+// Update a TodoTask with a JSON merge patch
+router.patch(
+  "/:id",
+  validate({ body: todoTaskSchemas.update, query: todoTaskSchemas.updateQuery }),
+  updateTodoTask
+);
+
+// Checklist items of a TodoTask
+router.post(
+  "/:id/checklist",
+  validate({ body: todoTaskSchemas.addChecklistItem }),
+  addChecklistItem
+);
+router.put(
+  "/:id/checklist/order",
+  validate({ body: todoTaskSchemas.reorderChecklist }),
+  reorderChecklist
+);
+router.patch(
+  "/:id/checklist/:itemId",
+  validate({ body: todoTaskSchemas.updateChecklistItem }),
+  updateChecklistItem
+);
+router.delete("/:id/checklist/:itemId", removeChecklistItem);
 
 module.exports = router;
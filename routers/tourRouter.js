@@ -4,15 +4,59 @@ const {
   getAllTours,
   getTourById,
   createTour,
+  replaceTour,
   updateTour,
   deleteTour,
+  getDeletedTours,
+  restoreTour,
+  addDeparture,
+  uploadTourImage,
 } = require("../controllers/tourControllers");
+const { createBooking } = require("../controllers/bookingController");
+const { getTourReviews, createReview } = require("../controllers/reviewController");
+const requireAuth = require("../middleware/requireAuth");
+const authorize = require("../middleware/authorize");
+const validate = require("../middleware/validate");
+const uploadImage = require("../middleware/uploadImage");
+const tourSchemas = require("../validators/tourSchemas");
+const bookingSchemas = require("../validators/bookingSchemas");
+const reviewSchemas = require("../validators/reviewSchemas");
 
-
+// public catalog
 router.get("/", getAllTours);
-router.post("/", createTour);
+// deleted tours are kept in a trash that only admins can see and restore from
+router.get("/trash", requireAuth, authorize("admin"), getDeletedTours);
 router.get("/:tourId", getTourById);
-router.put("/:tourId", updateTour);
-router.delete("/:tourId", deleteTour);
+router.get("/:tourId/reviews", getTourReviews);
+
+// mutations require a logged in user; ownership is checked in the controller
+router.post("/", requireAuth, validate({ body: tourSchemas.create }), createTour);
+router.put("/:tourId", requireAuth, validate({ body: tourSchemas.replace }), replaceTour);
+router.patch("/:tourId", requireAuth, validate({ body: tourSchemas.update }), updateTour);
+router.delete("/:tourId", requireAuth, deleteTour);
+router.post("/:tourId/restore", requireAuth, authorize("admin"), restoreTour);
+router.put("/:tourId/image", requireAuth, uploadImage("image"), uploadTourImage);
+router.post(
+  "/:tourId/departures",
+  requireAuth,
+  validate({ body: tourSchemas.departure }),
+  addDeparture
+);
+
+// any logged in user can book seats on an upcoming departure
+router.post(
+  "/:tourId/bookings",
+  requireAuth,
+  validate({ body: bookingSchemas.create }),
+  createBooking
+);
+
+// one review per user and tour; edits and deletes live under /api/reviews
+router.post(
+  "/:tourId/reviews",
+  requireAuth,
+  validate({ body: reviewSchemas.create }),
+  createReview
+);
 
 module.exports = router;
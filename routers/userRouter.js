@@ -1,11 +1,76 @@
 const express = require("express");
 const router = express.Router();
-const { loginUser, signupUser } = require("../controllers/userController");
+const {
+  loginUser,
+  signupUser,
+  refreshSession,
+  logoutUser,
+  logoutAllSessions,
+  getMe,
+  updateMe,
+  deleteMe,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  getUsers,
+  updateUserRole,
+  getReminders,
+  updateReminders,
+} = require("../controllers/userController");
+const { getMyBookings } = require("../controllers/bookingController");
+const requireAuth = require("../middleware/requireAuth");
+const authorize = require("../middleware/authorize");
+const validate = require("../middleware/validate");
+const userSchemas = require("../validators/userSchemas");
+const bookingSchemas = require("../validators/bookingSchemas");
   
 // login route
-router.post("/login", loginUser);
+router.post("/login", validate({ body: userSchemas.login }), loginUser);
   
 // signup route
-router.post("/signup", signupUser);
+router.post("/signup", validate({ body: userSchemas.signup }), signupUser);
+
+// session routes
+router.post("/refresh", validate({ body: userSchemas.refresh }), refreshSession);
+router.post("/logout", requireAuth, logoutUser);
+router.post("/logout-all", requireAuth, logoutAllSessions);
+
+// profile of the logged in user
+router.get("/me", requireAuth, getMe);
+router.patch("/me", requireAuth, validate({ body: userSchemas.profile }), updateMe);
+router.delete("/me", requireAuth, deleteMe);
+router.post(
+  "/me/password",
+  requireAuth,
+  validate({ body: userSchemas.changePassword }),
+  changePassword
+);
+router.get("/me/reminders", requireAuth, getReminders);
+router.patch(
+  "/me/reminders",
+  requireAuth,
+  validate({ body: userSchemas.reminders }),
+  updateReminders
+);
+router.get(
+  "/me/bookings",
+  requireAuth,
+  validate({ query: bookingSchemas.listQuery }),
+  getMyBookings
+);
+
+// password recovery
+router.post("/forgot-password", validate({ body: userSchemas.forgotPassword }), forgotPassword);
+router.post("/reset-password", validate({ body: userSchemas.resetPassword }), resetPassword);
+
+// user management (admin only)
+router.get("/", requireAuth, authorize("admin"), getUsers);
+router.patch(
+  "/:userId/role",
+  requireAuth,
+  authorize("admin"),
+  validate({ body: userSchemas.updateRole }),
+  updateUserRole
+);
   
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+const express = require("express");
+const router = express.Router();
+const {
+  getWebhooks,
+  createWebhook,
+  getWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  getWebhookDeliveries,
+} = require("../controllers/webhookController");
+const requireAuth = require("../middleware/requireAuth");
+const validate = require("../middleware/validate");
+const webhookSchemas = require("../validators/webhookSchemas");
+
+// every user manages only their own webhooks
+router.use(requireAuth);
+
+router.get("/", getWebhooks);
+router.post("/", validate({ body: webhookSchemas.create }), createWebhook);
+router.get("/:id", getWebhook);
+router.patch("/:id", validate({ body: webhookSchemas.update }), updateWebhook);
+router.delete("/:id", deleteWebhook);
+router.post("/:id/secret", rotateWebhookSecret);
+router.get(
+  "/:id/deliveries",
+  validate({ query: webhookSchemas.deliveriesQuery }),
+  getWebhookDeliveries
+);
+
+module.exports = router;
@@ -0,0 +1,47 @@
+// Converts tours whose `price` was stored as a string ("1900", "$2,195")
+// into numbers. Safe to run more than once.
+//
+//   npm run migrate:tour-prices
+require("dotenv").config();
+const mongoose = require("mongoose");
+const Tour = require("../models/tourModel");
+
+const parsePrice = (value) => {
+  const cleaned = value.replace(/[^0-9.]/g, "");
+  const price = Number(cleaned);
+  return cleaned === "" || !Number.isFinite(price) ? null : price;
+};
+
+const migrateTourPrices = async () => {
+  // go through the raw collection: the schema would cast on read
+  const tours = Tour.collection.find({ price: { $type: "string" } });
+
+  let migrated = 0;
+  const skipped = [];
+  for await (const tour of tours) {
+    const price = parsePrice(tour.price);
+    if (price === null) {
+      skipped.push(tour);
+      continue;
+    }
+    await Tour.collection.updateOne({ _id: tour._id }, { $set: { price } });
+    migrated++;
+  }
+
+  console.log(`Migrated ${migrated} tour price(s)`);
+  for (const tour of skipped) {
+    console.warn(`Skipped tour ${tour._id}: cannot parse price "${tour.price}"`);
+  }
+
+  // build the text and price indexes declared on the schema
+  await Tour.syncIndexes();
+};
+
+mongoose
+  .connect(process.env.MONGO_URI)
+  .then(migrateTourPrices)
+  .then(() => mongoose.disconnect())
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
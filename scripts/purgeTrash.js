@@ -0,0 +1,19 @@
+// Permanently removes TodoTasks and tours that have been in the trash longer
+// than TRASH_RETENTION_DAYS, without waiting for the server's purge job:
+//
+//   npm run trash:purge
+require("dotenv").config();
+const mongoose = require("mongoose");
+const { purgeTrash } = require("../utils/trash");
+
+mongoose
+  .connect(process.env.MONGO_URI)
+  .then(() => purgeTrash())
+  .then(({ todoTasks, tours }) => {
+    console.log(`Purged ${todoTasks} todoTasks and ${tours} tours`);
+    return mongoose.disconnect();
+  })
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,31 @@
+// Grants a role to an existing user, e.g. to create the first admin:
+//
+//   npm run user:role -- admin@example.com admin
+require("dotenv").config();
+const mongoose = require("mongoose");
+const User = require("../models/userModel");
+
+const [email, role] = process.argv.slice(2);
+const roles = User.schema.path("role").enumValues;
+
+if (!email || !roles.includes(role)) {
+  console.error(`Usage: npm run user:role -- <email> <${roles.join("|")}>`);
+  process.exit(1);
+}
+
+const setUserRole = async () => {
+  const user = await User.findOneAndUpdate({ email }, { role }, { new: true });
+  if (!user) {
+    throw Error(`No user with email ${email}`);
+  }
+  console.log(`${user.email} is now ${user.role}`);
+};
+
+mongoose
+  .connect(process.env.MONGO_URI)
+  .then(setUserRole)
+  .then(() => mongoose.disconnect())
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -5,7 +5,15 @@ const cors = require("cors");
 const todoTaskRouter = require("../routers/todoTaskRouter");
 const userRouter = require("../routers/userRouter");
 const tourRouter = require("../routers/tourRouter");
+const bookingRouter = require("../routers/bookingRouter");
+const reviewRouter = require("../routers/reviewRouter");
+const tagRouter = require("../routers/tagRouter");
+const projectRouter = require("../routers/projectRouter");
+const notificationRouter = require("../routers/notificationRouter");
+const webhookRouter = require("../routers/webhookRouter");
+const { uploadDir } = require("../utils/storage");
 const {
+  requestId,
   unknownEndpoint,
   errorHandler,
 } = require("../middleware/customMiddleware");
@@ -13,14 +21,26 @@ const {
 // express app
 const app = express();
 
+app.use(requestId);
+
 // Middleware to parse JSON
-app.use(express.json());
+// PATCH bodies are JSON merge patches (RFC 7396)
+app.use(express.json({ type: ["application/json", "application/merge-patch+json"] }));
 
 app.get("/", (req, res) => res.send("API Running!"));
 
+// uploaded files get a new name on every upload, so they can be cached for good
+app.use("/uploads", express.static(uploadDir(), { immutable: true, maxAge: "1y" }));
+
 app.use("/api/todoTasks", todoTaskRouter);
 app.use("/api/users", userRouter);
 app.use("/api/tours", tourRouter);
+app.use("/api/bookings", bookingRouter);
+app.use("/api/reviews", reviewRouter);
+app.use("/api/tags", tagRouter);
+app.use("/api/projects", projectRouter);
+app.use("/api/notifications", notificationRouter);
+app.use("/api/webhooks", webhookRouter);
 
 app.use(unknownEndpoint);
 app.use(errorHandler);
@@ -0,0 +1,192 @@
+const mongoose = require("mongoose");
+const supertest = require("supertest");
+const app = require("./app-test");
+const api = supertest(app);
+const { signup } = require("./helpers");
+const Booking = require("../models/bookingModel");
+const Tour = require("../models/tourModel");
+const User = require("../models/userModel");
+
+const nextMonth = () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+
+let ownerToken = null;
+let travelerToken = null;
+let tour = null;
+
+beforeAll(async () => {
+  await User.deleteMany({});
+  ownerToken = await signup("Olivia Owner", "olivia@example.com");
+  travelerToken = await signup("Tom Traveler", "tom@example.com");
+});
+
+beforeEach(async () => {
+  await Booking.deleteMany({});
+  await Tour.deleteMany({});
+  const owner = await User.findOne({ email: "olivia@example.com" });
+  tour = await Tour.create({
+    user_id: owner._id,
+    name: "Helsinki in 5 Days Tour",
+    info: "Discover the charm of Helsinki in 5 days with our expert guides.",
+    image: "https://www.course-api.com/images/tours/tour-1.jpeg",
+    price: 1900,
+  });
+});
+
+const addDeparture = async (capacity) => {
+  const response = await api
+    .post(`/api/tours/${tour._id}/departures`)
+    .set("Authorization", "bearer " + ownerToken)
+    .send({ date: nextMonth().toISOString(), capacity })
+    .expect(201);
+  return response.body;
+};
+
+const seatsLeft = async (departureId) => {
+  const tourCheck = await Tour.findById(tour._id);
+  return tourCheck.departures.id(departureId).seatsAvailable;
+};
+
+describe("Given a tour has an upcoming departure", () => {
+  it("should let only the tour owner schedule departures", async () => {
+    await api
+      .post(`/api/tours/${tour._id}/departures`)
+      .set("Authorization", "bearer " + travelerToken)
+      .send({ date: nextMonth().toISOString(), capacity: 10 })
+      .expect(403);
+
+    const departure = await addDeparture(10);
+    expect(departure).toEqual(
+      expect.objectContaining({ capacity: 10, seatsAvailable: 10 })
+    );
+  });
+
+  it("should book seats and list them under /api/users/me/bookings", async () => {
+    const departure = await addDeparture(10);
+
+    const response = await api
+      .post(`/api/tours/${tour._id}/bookings`)
+      .set("Authorization", "bearer " + travelerToken)
+      .send({ departureId: departure._id, seats: 3 })
+      .expect(201);
+    expect(response.body).toEqual(
+      expect.objectContaining({ seats: 3, status: "pending" })
+    );
+    expect(await seatsLeft(departure._id)).toBe(7);
+
+    const mine = await api
+      .get("/api/users/me/bookings")
+      .set("Authorization", "bearer " + travelerToken)
+      .expect(200);
+    expect(mine.body).toHaveLength(1);
+    expect(mine.body[0].tour_id.name).toBe("Helsinki in 5 Days Tour");
+  });
+
+  it("should return 409 when there are not enough seats", async () => {
+    const departure = await addDeparture(2);
+    await api
+      .post(`/api/tours/${tour._id}/bookings`)
+      .set("Authorization", "bearer " + travelerToken)
+      .send({ departureId: departure._id, seats: 3 })
+      .expect(409);
+    expect(await seatsLeft(departure._id)).toBe(2);
+  });
+
+  it("should never oversell the last seat to concurrent bookings", async () => {
+    const departure = await addDeparture(1);
+    const attempts = await Promise.all(
+      [ownerToken, travelerToken].map((token) =>
+        api
+          .post(`/api/tours/${tour._id}/bookings`)
+          .set("Authorization", "bearer " + token)
+          .send({ departureId: departure._id })
+      )
+    );
+    expect(attempts.map((r) => r.status).sort()).toEqual([201, 409]);
+    expect(await seatsLeft(departure._id)).toBe(0);
+    expect(await Booking.countDocuments()).toBe(1);
+  });
+
+  it("should give the seats back when the booker cancels", async () => {
+    const departure = await addDeparture(5);
+    const booking = await api
+      .post(`/api/tours/${tour._id}/bookings`)
+      .set("Authorization", "bearer " + travelerToken)
+      .send({ departureId: departure._id, seats: 2 });
+
+    const response = await api
+      .patch("/api/bookings/" + booking.body._id)
+      .set("Authorization", "bearer " + travelerToken)
+      .send({ status: "cancelled" })
+      .expect(200);
+    expect(response.body.status).toBe("cancelled");
+    expect(await seatsLeft(departure._id)).toBe(5);
+
+    // cancelling twice must not release the seats again
+    await api
+      .patch("/api/bookings/" + booking.body._id)
+      .set("Authorization", "bearer " + travelerToken)
+      .send({ status: "cancelled" })
+      .expect(409);
+    expect(await seatsLeft(departure._id)).toBe(5);
+  });
+
+  it("should only let the tour owner confirm and complete bookings", async () => {
+    const departure = await addDeparture(5);
+    const booking = await api
+      .post(`/api/tours/${tour._id}/bookings`)
+      .set("Authorization", "bearer " + travelerToken)
+      .send({ departureId: departure._id });
+    const url = "/api/bookings/" + booking.body._id;
+
+    await api
+      .patch(url)
+      .set("Authorization", "bearer " + travelerToken)
+      .send({ status: "confirmed" })
+      .expect(403);
+    await api
+      .patch(url)
+      .set("Authorization", "bearer " + ownerToken)
+      .send({ status: "completed" })
+      .expect(409);
+    await api
+      .patch(url)
+      .set("Authorization", "bearer " + ownerToken)
+      .send({ status: "confirmed" })
+      .expect(200);
+    await api
+      .patch(url)
+      .set("Authorization", "bearer " + ownerToken)
+      .send({ status: "unknown" })
+      .expect(422);
+  });
+
+  it("should give the seats back when a booker deletes their account", async () => {
+    const departure = await addDeparture(10);
+    const leavingToken = await signup("Lea Leaving", "lea@example.com");
+    const pending = await api
+      .post(`/api/tours/${tour._id}/bookings`)
+      .set("Authorization", "bearer " + leavingToken)
+      .send({ departureId: departure._id, seats: 2 })
+      .expect(201);
+    await api
+      .post(`/api/tours/${tour._id}/bookings`)
+      .set("Authorization", "bearer " + leavingToken)
+      .send({ departureId: departure._id, seats: 3 })
+      .expect(201);
+    await api
+      .patch("/api/bookings/" + pending.body._id)
+      .set("Authorization", "bearer " + ownerToken)
+      .send({ status: "confirmed" })
+      .expect(200);
+    expect(await seatsLeft(departure._id)).toBe(5);
+
+    await api.delete("/api/users/me").set("Authorization", "bearer " + leavingToken).expect(204);
+
+    expect(await seatsLeft(departure._id)).toBe(10);
+    expect(await Booking.countDocuments()).toBe(0);
+  });
+});
+
+afterAll(() => {
+  mongoose.connection.close();
+});
@@ -0,0 +1,17 @@
+// Helpers shared by the test files that need several users
+const supertest = require("supertest");
+const app = require("./app-test");
+
+const api = supertest(app);
+
+// sign up a user and return their access token
+const signup = async (name, email) => {
+  const result = await api
+    .post("/api/users/signup")
+    .send({ name, email, password: "R3g5T7#gh" });
+  return result.body.token;
+};
+
+module.exports = {
+  signup,
+};
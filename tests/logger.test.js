@@ -0,0 +1,57 @@
+const { logger, redact } = require("../utils/logger");
+
+describe("Structured logger", () => {
+  let write;
+
+  beforeEach(() => {
+    write = jest.spyOn(process.stdout, "write").mockImplementation(() => true);
+  });
+
+  afterEach(() => {
+    write.mockRestore();
+    delete process.env.LOG_LEVEL;
+    delete process.env.LOG_REDACT;
+  });
+
+  it("should mask sensitive fields at any depth", () => {
+    expect(
+      redact({
+        email: "a@example.com",
+        password: "secret",
+        nested: { refreshToken: "abc", list: [{ newPassword: "x" }] },
+      })
+    ).toEqual({
+      email: "a@example.com",
+      password: "[REDACTED]",
+      nested: { refreshToken: "[REDACTED]", list: [{ newPassword: "[REDACTED]" }] },
+    });
+  });
+
+  it("should mask extra fields listed in LOG_REDACT", () => {
+    process.env.LOG_REDACT = "phone_number";
+    expect(redact({ phone_number: "1234567890" })).toEqual({ phone_number: "[REDACTED]" });
+  });
+
+  it("should write one JSON line per entry", () => {
+    process.env.LOG_LEVEL = "info";
+    logger.info("hello", { requestId: "r1", body: { password: "secret" } });
+
+    expect(write).toHaveBeenCalledTimes(1);
+    const entry = JSON.parse(write.mock.calls[0][0]);
+    expect(entry).toEqual(
+      expect.objectContaining({
+        level: "info",
+        msg: "hello",
+        requestId: "r1",
+        body: { password: "[REDACTED]" },
+      })
+    );
+  });
+
+  it("should skip entries below the configured level", () => {
+    process.env.LOG_LEVEL = "warn";
+    logger.info("quiet");
+    logger.warn("loud");
+    expect(write).toHaveBeenCalledTimes(1);
+  });
+});
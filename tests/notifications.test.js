@@ -0,0 +1,212 @@
+const mongoose = require("mongoose");
+const supertest = require("supertest");
+const app = require("./app-test");
+const api = supertest(app);
+const Notification = require("../models/notificationModel");
+const TodoTask = require("../models/todoTaskModel");
+const User = require("../models/userModel");
+const { runReminders } = require("../utils/reminders");
+const { setChannel, getChannel } = require("../utils/notificationChannels");
+const { setTransport } = require("../utils/mailer");
+
+const MINUTE = 60 * 1000;
+
+let token = null;
+
+const auth = () => ({ Authorization: "bearer " + token });
+
+const addTask = (title, dueDate) =>
+  api
+    .post("/api/todoTasks")
+    .set(auth())
+    .send({ title, description: "desc", dueDate: dueDate.toISOString() })
+    .expect(201);
+
+beforeAll(async () => {
+  await User.deleteMany({});
+  const result = await api.post("/api/users/signup").send({
+    name: "Nora Notified",
+    email: "nora@example.com",
+    password: "R3g5T7#gh",
+  });
+  token = result.body.token;
+});
+
+beforeEach(async () => {
+  await TodoTask.deleteMany({});
+  await Notification.deleteMany({});
+  await User.updateOne({ email: "nora@example.com" }, { $unset: { reminders: "" } });
+});
+
+describe("Given tasks are due soon or overdue", () => {
+  const now = new Date();
+
+  beforeEach(async () => {
+    await addTask("Due soon", new Date(now.getTime() + 30 * MINUTE));
+    await addTask("Overdue", new Date(now.getTime() - 30 * MINUTE));
+    await addTask("Next week", new Date(now.getTime() + 3 * 24 * 60 * MINUTE));
+  });
+
+  it("should create one notification per task, however often the job runs", async () => {
+    expect(await runReminders(now)).toEqual({ created: 2 });
+    expect(await runReminders(now)).toEqual({ created: 0 });
+
+    const response = await api.get("/api/notifications").set(auth()).expect(200);
+    expect(response.body.unreadCount).toBe(2);
+    expect(response.body.notifications.map((n) => n.type).sort()).toEqual([
+      "due_soon",
+      "overdue",
+    ]);
+    expect(response.body.notifications[0].deliveries).toEqual([
+      expect.objectContaining({ channel: "in_app", ok: true }),
+    ]);
+  });
+
+  it("should work through many tasks in batches without claiming reminders twice", async () => {
+    const user = await User.findOne({ email: "nora@example.com" });
+    await TodoTask.insertMany(
+      Array.from({ length: 250 }, (_, i) => ({
+        title: `Overdue ${i}`,
+        description: "desc",
+        dueDate: new Date(now.getTime() - (i + 1) * MINUTE),
+        user_id: user._id,
+      }))
+    );
+    expect(await runReminders(now)).toEqual({ created: 252 });
+
+    // reminders that exist are skipped before trying to create them again
+    const claim = jest.spyOn(Notification, "updateOne");
+    try {
+      expect(await runReminders(now)).toEqual({ created: 0 });
+      expect(claim).not.toHaveBeenCalled();
+    } finally {
+      claim.mockRestore();
+    }
+  });
+
+  it("should skip completed tasks and follow the user's preferences", async () => {
+    await TodoTask.updateOne({ title: "Due soon" }, { completed: true });
+    await api
+      .patch("/api/users/me/reminders")
+      .set(auth())
+      .send({ overdue: false, leadMinutes: 5 * 24 * 60 })
+      .expect(200);
+
+    await runReminders(now);
+    const notifications = await Notification.find();
+    expect(notifications.map((n) => n.message)).toEqual([
+      expect.stringContaining('"Next week" is due'),
+    ]);
+  });
+
+  it("should mark notifications read one by one or all at once", async () => {
+    await runReminders(now);
+    const [first] = (await api.get("/api/notifications").set(auth())).body.notifications;
+
+    await api
+      .patch("/api/notifications/" + first._id)
+      .set(auth())
+      .send({ read: true })
+      .expect(200);
+    const unread = await api.get("/api/notifications?unread=true").set(auth()).expect(200);
+    expect(unread.body.total).toBe(1);
+
+    const response = await api.post("/api/notifications/read-all").set(auth()).expect(200);
+    expect(response.body.updated).toBe(1);
+    const all = await api.get("/api/notifications").set(auth());
+    expect(all.body.unreadCount).toBe(0);
+  });
+
+  it("should deliver on the email and webhook channels and record failures", async () => {
+    const outbox = [];
+    setTransport({ send: async (message) => outbox.push(message) });
+    const webhook = getChannel("webhook");
+    setChannel("webhook", {
+      send: async () => {
+        throw Error("connection refused");
+      },
+    });
+
+    try {
+      await api
+        .patch("/api/users/me/reminders")
+        .set(auth())
+        .send({ channels: ["in_app", "email", "webhook"], webhookUrl: "https://example.com/hook" })
+        .expect(200);
+      await runReminders(now);
+    } finally {
+      setChannel("webhook", webhook);
+    }
+
+    expect(outbox.map((message) => message.to)).toEqual(["nora@example.com", "nora@example.com"]);
+    const notification = await Notification.findOne({ type: "overdue" });
+    expect(notification.deliveries.map(({ channel, ok }) => ({ channel, ok }))).toEqual([
+      { channel: "in_app", ok: true },
+      { channel: "email", ok: true },
+      { channel: "webhook", ok: false },
+    ]);
+  });
+});
+
+describe("Given a user sets reminder preferences", () => {
+  it("should return the defaults until they are changed", async () => {
+    const response = await api.get("/api/users/me/reminders").set(auth()).expect(200);
+    expect(response.body).toEqual(
+      expect.objectContaining({
+        enabled: true,
+        leadMinutes: 60,
+        overdue: true,
+        channels: ["in_app"],
+      })
+    );
+  });
+
+  it("should return 422 for invalid preferences", async () => {
+    await api.patch("/api/users/me/reminders").set(auth()).send({ leadMinutes: 1 }).expect(422);
+    await api
+      .patch("/api/users/me/reminders")
+      .set(auth())
+      .send({ channels: ["pigeon"] })
+      .expect(422);
+    const response = await api
+      .patch("/api/users/me/reminders")
+      .set(auth())
+      .send({ channels: ["webhook"] })
+      .expect(422);
+    expect(response.body.error.fields[0].path).toBe("webhookUrl");
+  });
+
+  it("should refuse a webhookUrl on a private or local address", async () => {
+    const response = await api
+      .patch("/api/users/me/reminders")
+      .set(auth())
+      .send({ channels: ["webhook"], webhookUrl: "http://169.254.169.254/latest" })
+      .expect(422);
+    expect(response.body.error.fields[0].path).toBe("webhookUrl");
+
+    // also when it is sent to
+    const user = { reminders: { webhookUrl: "http://127.0.0.1:9/hook" } };
+    await expect(getChannel("webhook").send({ message: "Due" }, user)).rejects.toThrow(
+      /not a public address/
+    );
+  });
+
+  it("should not let another user read or change a notification", async () => {
+    const other = await Notification.create({
+      user_id: new mongoose.Types.ObjectId(),
+      type: "overdue",
+      message: "not yours",
+    });
+    await api
+      .patch("/api/notifications/" + other._id)
+      .set(auth())
+      .send({ read: true })
+      .expect(404);
+    const response = await api.get("/api/notifications").set(auth()).expect(200);
+    expect(response.body.total).toBe(0);
+  });
+});
+
+afterAll(() => {
+  mongoose.connection.close();
+});
@@ -0,0 +1,199 @@
+const mongoose = require("mongoose");
+const supertest = require("supertest");
+const app = require("./app-test");
+const api = supertest(app);
+const { signup } = require("./helpers");
+const Project = require("../models/projectModel");
+const TodoTask = require("../models/todoTaskModel");
+const User = require("../models/userModel");
+
+const tokens = {};
+let project = null;
+let task = null;
+
+const as = (who) => ({ Authorization: "bearer " + tokens[who] });
+
+beforeAll(async () => {
+  await User.deleteMany({});
+  tokens.owner = await signup("Paula Owner", "paula@example.com");
+  tokens.editor = await signup("Eddie Editor", "eddie@example.com");
+  tokens.viewer = await signup("Vera Viewer", "vera@example.com");
+  tokens.stranger = await signup("Sam Stranger", "sam@example.com");
+});
+
+beforeEach(async () => {
+  await Project.deleteMany({});
+  await TodoTask.deleteMany({});
+
+  const created = await api
+    .post("/api/projects")
+    .set(as("owner"))
+    .send({ name: "Move house" })
+    .expect(201);
+  project = created.body;
+  for (const [email, role] of [["eddie@example.com", "editor"], ["vera@example.com", "viewer"]]) {
+    await api
+      .post(`/api/projects/${project._id}/members`)
+      .set(as("owner"))
+      .send({ email, role })
+      .expect(201);
+  }
+
+  const response = await api
+    .post("/api/todoTasks")
+    .set(as("owner"))
+    .send({
+      title: "Book a van",
+      description: "Saturday morning",
+      dueDate: "2026-11-07",
+      project_id: project._id,
+    })
+    .expect(201);
+  task = response.body;
+});
+
+describe("Given a project is shared with collaborators", () => {
+  it("should list the project for members with their role", async () => {
+    const response = await api.get("/api/projects").set(as("viewer")).expect(200);
+    expect(response.body.map((p) => [p.name, p.role])).toEqual([["Move house", "viewer"]]);
+
+    const none = await api.get("/api/projects").set(as("stranger")).expect(200);
+    expect(none.body).toEqual([]);
+  });
+
+  it("should let every member see the project's tasks", async () => {
+    for (const who of ["owner", "editor", "viewer"]) {
+      const response = await api
+        .get(`/api/todoTasks?project=${project._id}`)
+        .set(as(who))
+        .expect(200);
+      expect(response.body.todoTasks.map((t) => t.title)).toEqual(["Book a van"]);
+      await api.get("/api/todoTasks/" + task._id).set(as(who)).expect(200);
+    }
+  });
+
+  it("should let editors but not viewers change tasks", async () => {
+    await api
+      .patch("/api/todoTasks/" + task._id)
+      .set(as("editor"))
+      .send({ completed: true })
+      .expect(200);
+    await api
+      .patch("/api/todoTasks/" + task._id)
+      .set(as("viewer"))
+      .send({ completed: false })
+      .expect(403);
+    await api.delete("/api/todoTasks/" + task._id).set(as("viewer")).expect(403);
+    await api
+      .post("/api/todoTasks")
+      .set(as("viewer"))
+      .send({ title: "t", description: "d", dueDate: "2026-11-01", project_id: project._id })
+      .expect(403);
+  });
+
+  it("should hide the project and its tasks from other users", async () => {
+    await api.get("/api/projects/" + project._id).set(as("stranger")).expect(404);
+    await api.get("/api/todoTasks/" + task._id).set(as("stranger")).expect(404);
+    await api
+      .patch("/api/todoTasks/" + task._id)
+      .set(as("stranger"))
+      .send({ title: "Mine now" })
+      .expect(404);
+    await api.delete("/api/todoTasks/" + task._id).set(as("stranger")).expect(404);
+    await api.get(`/api/todoTasks?project=${project._id}`).set(as("stranger")).expect(404);
+    expect(await TodoTask.findById(task._id)).not.toBeNull();
+  });
+
+  it("should revoke access when a member is removed or leaves", async () => {
+    const eddie = await User.findOne({ email: "eddie@example.com" });
+    const vera = await User.findOne({ email: "vera@example.com" });
+
+    // only the owner manages other members
+    await api
+      .delete(`/api/projects/${project._id}/members/${eddie._id}`)
+      .set(as("viewer"))
+      .expect(403);
+    await api
+      .delete(`/api/projects/${project._id}/members/${eddie._id}`)
+      .set(as("owner"))
+      .expect(204);
+    await api
+      .delete(`/api/projects/${project._id}/members/${vera._id}`)
+      .set(as("viewer"))
+      .expect(204);
+
+    await api.get("/api/todoTasks/" + task._id).set(as("editor")).expect(404);
+    await api.get("/api/todoTasks/" + task._id).set(as("viewer")).expect(404);
+  });
+
+  it("should reject sharing twice or with unknown users", async () => {
+    await api
+      .post(`/api/projects/${project._id}/members`)
+      .set(as("owner"))
+      .send({ email: "vera@example.com", role: "editor" })
+      .expect(409);
+    await api
+      .post(`/api/projects/${project._id}/members`)
+      .set(as("owner"))
+      .send({ email: "nobody@example.com", role: "viewer" })
+      .expect(404);
+    await api
+      .post(`/api/projects/${project._id}/members`)
+      .set(as("editor"))
+      .send({ email: "sam@example.com", role: "viewer" })
+      .expect(403);
+  });
+
+  it("should move the project's tasks to the trash with the project", async () => {
+    await api.delete("/api/projects/" + project._id).set(as("editor")).expect(403);
+    await api.delete("/api/projects/" + project._id).set(as("owner")).expect(204);
+    expect(await TodoTask.countDocuments({ project_id: project._id })).toBe(0);
+
+    const trash = await api.get("/api/todoTasks/trash").set(as("owner")).expect(200);
+    expect(trash.body.map((todoTask) => todoTask._id)).toEqual([task._id]);
+    const restored = await api
+      .post(`/api/todoTasks/${task._id}/restore`)
+      .set(as("owner"))
+      .expect(200);
+    expect(restored.body.project_id).toBeNull();
+  });
+
+  it("should leave collaborators their tasks when the owner deletes their account", async () => {
+    tokens.leaving = await signup("Lea Leaving", "lea@example.com");
+    const { body: leaving } = await api
+      .post("/api/projects")
+      .set(as("leaving"))
+      .send({ name: "Garden" })
+      .expect(201);
+    await api
+      .post(`/api/projects/${leaving._id}/members`)
+      .set(as("leaving"))
+      .send({ email: "eddie@example.com", role: "editor" })
+      .expect(201);
+    const { body: added } = await api
+      .post("/api/todoTasks")
+      .set(as("editor"))
+      .send({
+        title: "Plant tulips",
+        description: "By the fence",
+        dueDate: "2026-11-14",
+        project_id: leaving._id,
+      })
+      .expect(201);
+
+    await api.delete("/api/users/me").set(as("leaving")).expect(204);
+
+    expect(await Project.exists({ _id: leaving._id })).toBeNull();
+    const trash = await api.get("/api/todoTasks/trash").set(as("editor")).expect(200);
+    expect(trash.body.map((todoTask) => todoTask._id)).toEqual([added._id]);
+    const restored = await api
+      .post(`/api/todoTasks/${added._id}/restore`)
+      .set(as("editor"))
+      .expect(200);
+    expect(restored.body.project_id).toBeNull();
+  });
+});
+
+afterAll(() => {
+  mongoose.connection.close();
+});
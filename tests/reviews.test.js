@@ -0,0 +1,125 @@
+const mongoose = require("mongoose");
+const supertest = require("supertest");
+const app = require("./app-test");
+const api = supertest(app);
+const { signup } = require("./helpers");
+const Review = require("../models/reviewModel");
+const Tour = require("../models/tourModel");
+const User = require("../models/userModel");
+
+const tokens = {};
+let tour = null;
+
+const review = (token, body) =>
+  api
+    .post(`/api/tours/${tour._id}/reviews`)
+    .set("Authorization", "bearer " + token)
+    .send(body);
+
+beforeAll(async () => {
+  await User.deleteMany({});
+  tokens.owner = await signup("Olivia Owner", "olivia@example.com");
+  tokens.ann = await signup("Ann Reviewer", "ann@example.com");
+  tokens.bob = await signup("Bob Reviewer", "bob@example.com");
+});
+
+beforeEach(async () => {
+  await Review.deleteMany({});
+  await Tour.deleteMany({});
+  const owner = await User.findOne({ email: "olivia@example.com" });
+  tour = await Tour.create({
+    user_id: owner._id,
+    name: "Helsinki in 5 Days Tour",
+    info: "Discover the charm of Helsinki in 5 days with our expert guides.",
+    image: "https://www.course-api.com/images/tours/tour-1.jpeg",
+    price: 1900,
+  });
+});
+
+describe("Given users review a tour", () => {
+  it("should keep the tour's rating average and count in sync", async () => {
+    await review(tokens.ann, { rating: 5, comment: "Loved it" }).expect(201);
+    await review(tokens.bob, { rating: 2 }).expect(201);
+
+    let tourCheck = await Tour.findById(tour._id);
+    expect(tourCheck.ratingsAverage).toBe(3.5);
+    expect(tourCheck.ratingsCount).toBe(2);
+
+    const bobs = await Review.findOne({ comment: "" });
+    await api
+      .patch("/api/reviews/" + bobs._id)
+      .set("Authorization", "bearer " + tokens.bob)
+      .send({ rating: 4 })
+      .expect(200);
+    tourCheck = await Tour.findById(tour._id);
+    expect(tourCheck.ratingsAverage).toBe(4.5);
+
+    await api
+      .delete("/api/reviews/" + bobs._id)
+      .set("Authorization", "bearer " + tokens.bob)
+      .expect(204);
+    tourCheck = await Tour.findById(tour._id);
+    expect(tourCheck.ratingsAverage).toBe(5);
+    expect(tourCheck.ratingsCount).toBe(1);
+  });
+
+  it("should only allow one review per user", async () => {
+    await review(tokens.ann, { rating: 4 }).expect(201);
+    const response = await review(tokens.ann, { rating: 1 }).expect(409);
+    expect(response.body.error.message).toBe("You have already reviewed this tour");
+  });
+
+  it("should return 422 for a rating outside 1 to 5", async () => {
+    const response = await review(tokens.ann, { rating: 6 }).expect(422);
+    expect(response.body.error.fields[0].path).toBe("rating");
+  });
+
+  it("should not let users change someone else's review", async () => {
+    const created = await review(tokens.ann, { rating: 4 });
+    await api
+      .patch("/api/reviews/" + created.body._id)
+      .set("Authorization", "bearer " + tokens.bob)
+      .send({ rating: 1 })
+      .expect(403);
+    await api
+      .delete("/api/reviews/" + created.body._id)
+      .set("Authorization", "bearer " + tokens.bob)
+      .expect(403);
+  });
+
+  it("should list reviews page by page", async () => {
+    await review(tokens.ann, { rating: 4 });
+    await review(tokens.bob, { rating: 3 });
+
+    const response = await api
+      .get(`/api/tours/${tour._id}/reviews?limit=1&page=2`)
+      .expect(200);
+    expect(response.body.reviews).toHaveLength(1);
+    expect(response.body).toEqual(
+      expect.objectContaining({ page: 2, limit: 1, total: 2, totalPages: 2 })
+    );
+    expect(response.body.reviews[0].user_id.name).toBe("Ann Reviewer");
+  });
+
+  it("should sort the catalog by rating", async () => {
+    const owner = await User.findOne({ email: "olivia@example.com" });
+    await Tour.create({
+      user_id: owner._id,
+      name: "London in 7 Days Tour",
+      info: "Explore the best of London in 7 days with our expert guides.",
+      image: "https://www.course-api.com/images/tours/tour-2.jpeg",
+      price: 2195,
+    });
+    await review(tokens.ann, { rating: 5 });
+
+    const response = await api.get("/api/tours?sort=rating").expect(200);
+    expect(response.body.tours.map((t) => t.name)).toEqual([
+      "Helsinki in 5 Days Tour",
+      "London in 7 Days Tour",
+    ]);
+  });
+});
+
+afterAll(() => {
+  mongoose.connection.close();
+});
@@ -0,0 +1,109 @@
+const mongoose = require("mongoose");
+const supertest = require("supertest");
+const app = require("./app-test");
+const api = supertest(app);
+const Tag = require("../models/tagModel");
+const TodoTask = require("../models/todoTaskModel");
+const User = require("../models/userModel");
+
+let token = null;
+
+const addTask = (title, body = {}) =>
+  api
+    .post("/api/todoTasks")
+    .set("Authorization", "bearer " + token)
+    .send({ title, description: "desc", dueDate: "2026-11-01", ...body });
+
+const titles = async (query) => {
+  const response = await api
+    .get("/api/todoTasks?sort=title&" + query)
+    .set("Authorization", "bearer " + token)
+    .expect(200);
+  return response.body.todoTasks.map((t) => t.title);
+};
+
+beforeAll(async () => {
+  await User.deleteMany({});
+  const result = await api.post("/api/users/signup").send({
+    name: "Tina Tagger",
+    email: "tina@example.com",
+    password: "R3g5T7#gh",
+  });
+  token = result.body.token;
+});
+
+beforeEach(async () => {
+  await Tag.deleteMany({});
+  await TodoTask.deleteMany({});
+  for (const [name, color] of [["work", "#ff0000"], ["home", "#00ff00"], ["errands", "#0000ff"]]) {
+    await api
+      .post("/api/tags")
+      .set("Authorization", "bearer " + token)
+      .send({ name, color })
+      .expect(201);
+  }
+  await addTask("Report", { tags: ["work"], priority: "high" });
+  await addTask("Groceries", { tags: ["home", "errands"], priority: "low" });
+  await addTask("Post office", { tags: ["work", "errands"], priority: "urgent" });
+});
+
+describe("Given a user has tags", () => {
+  it("should list tags with how many tasks use them", async () => {
+    const response = await api
+      .get("/api/tags")
+      .set("Authorization", "bearer " + token)
+      .expect(200);
+    expect(response.body.map(({ name, color, taskCount }) => [name, color, taskCount])).toEqual([
+      ["errands", "#0000ff", 2],
+      ["home", "#00ff00", 1],
+      ["work", "#ff0000", 2],
+    ]);
+  });
+
+  it("should reject duplicate names and unknown tags on tasks", async () => {
+    await api
+      .post("/api/tags")
+      .set("Authorization", "bearer " + token)
+      .send({ name: "work" })
+      .expect(409);
+    const response = await addTask("Gym", { tags: ["sport"] }).expect(422);
+    expect(response.body.error.fields).toEqual([
+      { path: "tags", message: "Unknown tag 'sport'" },
+    ]);
+  });
+
+  it("should filter tasks by all given tags and by priority", async () => {
+    expect(await titles("tags=errands")).toEqual(["Groceries", "Post office"]);
+    expect(await titles("tags=work,errands")).toEqual(["Post office"]);
+    expect(await titles("priority=high,urgent")).toEqual(["Post office", "Report"]);
+    await api
+      .get("/api/todoTasks?priority=someday")
+      .set("Authorization", "bearer " + token)
+      .expect(400);
+  });
+
+  it("should rename the tag on every task", async () => {
+    const tag = await Tag.findOne({ name: "work" });
+    await api
+      .patch("/api/tags/" + tag._id)
+      .set("Authorization", "bearer " + token)
+      .send({ name: "office" })
+      .expect(200);
+    expect(await titles("tags=office")).toEqual(["Post office", "Report"]);
+    expect(await titles("tags=work")).toEqual([]);
+  });
+
+  it("should remove a deleted tag from every task", async () => {
+    const tag = await Tag.findOne({ name: "errands" });
+    await api
+      .delete("/api/tags/" + tag._id)
+      .set("Authorization", "bearer " + token)
+      .expect(204);
+    const task = await TodoTask.findOne({ title: "Post office" });
+    expect([...task.tags]).toEqual(["work"]);
+  });
+});
+
+afterAll(() => {
+  mongoose.connection.close();
+});
@@ -1,9 +1,12 @@
+const http = require("http");
 const mongoose = require("mongoose");
 const supertest = require("supertest");
 const app = require("./app-test"); // Your Express app
 const api = supertest(app);
 const TodoTask = require("../models/todoTaskModel");
 const User = require("../models/userModel");
+const Tag = require("../models/tagModel");
+const { purgeTrash } = require("../utils/trash");
 
 const todoTasks = [
   {
@@ -102,6 +105,871 @@ describe("Given there are initially some todoTasks saved", () => {
   });
 });
 
+describe("Given a todoTask belongs to another user", () => {
+  let otherToken = null;
+  let othersTask = null;
+
+  beforeAll(async () => {
+    const result = await api.post("/api/users/signup").send({
+      name: "Mallory",
+      email: "mallory@example.com",
+      password: "R3g5T7#gh",
+    });
+    otherToken = result.body.token;
+  });
+
+  beforeEach(async () => {
+    await TodoTask.deleteMany({});
+    const response = await api
+      .post("/api/todoTasks")
+      .set("Authorization", "bearer " + token)
+      .send(todoTasks[0]);
+    othersTask = response.body;
+  });
+
+  it("should return 404 and keep the task when another user deletes it", async () => {
+    await api
+      .delete("/api/todoTasks/" + othersTask._id)
+      .set("Authorization", "bearer " + otherToken)
+      .expect(404);
+    expect(await TodoTask.findById(othersTask._id)).not.toBeNull();
+  });
+
+  it("should return 404 and keep the task when another user updates it", async () => {
+    await api
+      .patch("/api/todoTasks/" + othersTask._id)
+      .set("Authorization", "bearer " + otherToken)
+      .send({ title: "Hijacked" })
+      .expect(404);
+    const check = await TodoTask.findById(othersTask._id);
+    expect(check.title).toBe(todoTasks[0].title);
+  });
+
+  it("should ignore owner, id and timestamp fields in updates", async () => {
+    const mallory = await User.findOne({ email: "mallory@example.com" });
+    await api
+      .patch("/api/todoTasks/" + othersTask._id)
+      .set("Authorization", "bearer " + token)
+      .send({
+        title: "Renamed",
+        user_id: mallory._id,
+        _id: new mongoose.Types.ObjectId(),
+        createdAt: "2000-01-01T00:00:00.000Z",
+      })
+      .expect(200);
+
+    const check = await TodoTask.findById(othersTask._id);
+    expect(check.title).toBe("Renamed");
+    expect(check.user_id.toString()).not.toBe(mallory._id.toString());
+    expect(check.createdAt.toISOString()).toBe(othersTask.createdAt);
+  });
+});
+
+describe("Given a user sends an invalid todoTask", () => {
+  it("should return 422 with the offending fields", async () => {
+    const response = await api
+      .post("/api/todoTasks")
+      .set("Authorization", "bearer " + token)
+      .send({ description: "no title", dueDate: "someday", completed: "yes" })
+      .expect(422);
+    expect(response.body.error).toEqual({
+      code: "VALIDATION_FAILED",
+      message: expect.any(String),
+      requestId: expect.any(String),
+      fields: expect.arrayContaining([
+        expect.objectContaining({ path: "title" }),
+        expect.objectContaining({ path: "dueDate" }),
+        expect.objectContaining({ path: "completed" }),
+      ]),
+    });
+  });
+
+  it("should return 404 for a malformed id, like for any missing task", async () => {
+    for (const request of [
+      api.get("/api/todoTasks/not-an-id"),
+      api.patch("/api/todoTasks/not-an-id").send({ title: "x" }),
+      api.delete("/api/todoTasks/not-an-id"),
+    ]) {
+      const response = await request.set("Authorization", "bearer " + token).expect(404);
+      expect(response.body.error.code).toBe("NOT_FOUND");
+    }
+  });
+});
+
+describe("Given a todoTask that does not exist", () => {
+  it("should return 404 with an error code and the request id", async () => {
+    const response = await api
+      .get("/api/todoTasks/" + new mongoose.Types.ObjectId())
+      .set("Authorization", "bearer " + token)
+      .set("X-Request-Id", "test-request-1")
+      .expect(404);
+    expect(response.headers["x-request-id"]).toBe("test-request-1");
+    expect(response.body.error).toEqual({
+      code: "NOT_FOUND",
+      message: "TodoTask not found",
+      requestId: "test-request-1",
+    });
+  });
+});
+
+describe("Given a user filters and pages through their todoTasks", () => {
+  beforeEach(async () => {
+    await TodoTask.deleteMany({});
+    for (let i = 1; i <= 5; i++) {
+      await api
+        .post("/api/todoTasks")
+        .set("Authorization", "bearer " + token)
+        .send({
+          title: `Task ${i}`,
+          description: i % 2 ? "buy groceries" : "clean the house",
+          dueDate: `2025-01-0${i}`,
+          completed: i > 3,
+        });
+    }
+  });
+
+  it("should return tasks with a total count", async () => {
+    const response = await api
+      .get("/api/todoTasks")
+      .set("Authorization", "bearer " + token)
+      .expect(200);
+    expect(response.body.todoTasks).toHaveLength(5);
+    expect(response.body.total).toBe(5);
+    expect(response.body.next).toBeNull();
+  });
+
+  it("should filter by completed, due date range and text", async () => {
+    const response = await api
+      .get("/api/todoTasks?completed=false&dueAfter=2025-01-02&q=GROCERIES")
+      .set("Authorization", "bearer " + token)
+      .expect(200);
+    expect(response.body.todoTasks.map((t) => t.title)).toEqual(["Task 3"]);
+    expect(response.body.total).toBe(1);
+  });
+
+  it("should sort by multiple fields", async () => {
+    const response = await api
+      .get("/api/todoTasks?sort=-completed,dueDate")
+      .set("Authorization", "bearer " + token)
+      .expect(200);
+    expect(response.body.todoTasks.map((t) => t.title)).toEqual([
+      "Task 4",
+      "Task 5",
+      "Task 1",
+      "Task 2",
+      "Task 3",
+    ]);
+  });
+
+  it("should page through all tasks by following next links", async () => {
+    const titles = [];
+    let url = "/api/todoTasks?sort=dueDate&limit=2";
+    while (url) {
+      const response = await api
+        .get(url)
+        .set("Authorization", "bearer " + token)
+        .expect(200);
+      expect(response.body.total).toBe(5);
+      titles.push(...response.body.todoTasks.map((t) => t.title));
+      url = response.body.next;
+    }
+    expect(titles).toEqual(["Task 1", "Task 2", "Task 3", "Task 4", "Task 5"]);
+  });
+
+  it("should return 400 for invalid query parameters", async () => {
+    for (const query of [
+      "completed=maybe",
+      "dueBefore=not-a-date",
+      "sort=password",
+      "limit=0",
+      "cursor=garbage",
+    ]) {
+      const response = await api
+        .get("/api/todoTasks?" + query)
+        .set("Authorization", "bearer " + token)
+        .expect(400);
+      expect(response.body).toHaveProperty("error");
+    }
+  });
+});
+
+describe("Given a todoTask has a checklist", () => {
+  let url = null;
+
+  const addItem = (body) =>
+    api
+      .post(url + "/checklist")
+      .set("Authorization", "bearer " + token)
+      .send(body);
+
+  beforeEach(async () => {
+    await TodoTask.deleteMany({});
+    const response = await api
+      .post("/api/todoTasks")
+      .set("Authorization", "bearer " + token)
+      .send({ ...todoTasks[0], autoComplete: true });
+    url = "/api/todoTasks/" + response.body._id;
+  });
+
+  it("should add items in order and report progress", async () => {
+    await addItem({ text: "Pack" }).expect(201);
+    await addItem({ text: "Book hotel", completed: true }).expect(201);
+    const response = await addItem({ text: "Buy tickets", position: 0 }).expect(201);
+
+    expect(response.body.checklist.map((item) => item.text)).toEqual([
+      "Buy tickets",
+      "Pack",
+      "Book hotel",
+    ]);
+    expect(response.body.progress).toBe(33);
+
+    const task = await api
+      .get(url)
+      .set("Authorization", "bearer " + token)
+      .expect(200);
+    expect(task.body.progress).toBe(33);
+  });
+
+  it("should derive completed from the items when autoComplete is set", async () => {
+    await addItem({ text: "Pack" });
+    const added = await addItem({ text: "Book hotel" });
+    const [first, second] = added.body.checklist;
+
+    await api
+      .patch(`${url}/checklist/${first._id}`)
+      .set("Authorization", "bearer " + token)
+      .send({ completed: true })
+      .expect(200);
+    const toggled = await api
+      .patch(`${url}/checklist/${second._id}`)
+      .set("Authorization", "bearer " + token)
+      .send({ completed: true })
+      .expect(200);
+    expect(toggled.body.completed).toBe(true);
+    expect(toggled.body.progress).toBe(100);
+
+    const removed = await api
+      .delete(`${url}/checklist/${second._id}`)
+      .set("Authorization", "bearer " + token)
+      .expect(200);
+    expect(removed.body.checklist).toHaveLength(1);
+
+    await addItem({ text: "Water plants" });
+    const task = await api.get(url).set("Authorization", "bearer " + token);
+    expect(task.body.completed).toBe(false);
+    expect(task.body.progress).toBe(50);
+  });
+
+  it("should reorder items", async () => {
+    await addItem({ text: "A" });
+    await addItem({ text: "B" });
+    const added = await addItem({ text: "C" });
+    const ids = added.body.checklist.map((item) => item._id);
+
+    const response = await api
+      .put(url + "/checklist/order")
+      .set("Authorization", "bearer " + token)
+      .send({ itemIds: [ids[2], ids[0], ids[1]] })
+      .expect(200);
+    expect(response.body.checklist.map((item) => item.text)).toEqual(["C", "A", "B"]);
+
+    // every item must be listed exactly once
+    await api
+      .put(url + "/checklist/order")
+      .set("Authorization", "bearer " + token)
+      .send({ itemIds: [ids[0], ids[0], ids[1]] })
+      .expect(422);
+  });
+
+  it("should return 404 for an unknown item", async () => {
+    await api
+      .patch(`${url}/checklist/${new mongoose.Types.ObjectId()}`)
+      .set("Authorization", "bearer " + token)
+      .send({ completed: true })
+      .expect(404);
+  });
+});
+
+describe("Given a todoTask repeats weekly", () => {
+  let task = null;
+
+  const complete = (id) =>
+    api
+      .patch("/api/todoTasks/" + id)
+      .set("Authorization", "bearer " + token)
+      .send({ completed: true });
+
+  beforeEach(async () => {
+    await TodoTask.deleteMany({});
+    // 2026-10-19 is a Monday
+    const response = await api
+      .post("/api/todoTasks")
+      .set("Authorization", "bearer " + token)
+      .send({
+        title: "Take out the trash",
+        description: "Bins go out before 7am",
+        dueDate: "2026-10-19T06:00:00.000Z",
+        recurrence: "FREQ=WEEKLY;BYDAY=MO,TH;COUNT=3",
+      })
+      .expect(201);
+    task = response.body;
+  });
+
+  it("should store the rule parsed from the RRULE", () => {
+    expect(task.recurrence).toEqual({ freq: "weekly", interval: 1, byWeekday: ["MO", "TH"], count: 3 });
+    expect(task.series_id).toBe(task._id);
+  });
+
+  it("should spawn the next occurrence once when completed", async () => {
+    const response = await complete(task._id).expect(200);
+    await complete(task._id).expect(200);
+
+    const next = await TodoTask.findById(response.body.nextOccurrence_id);
+    expect(next.dueDate.toISOString()).toBe("2026-10-22T06:00:00.000Z");
+    expect(next.completed).toBe(false);
+    expect(next.occurrence).toBe(2);
+    expect(await TodoTask.countDocuments()).toBe(2);
+  });
+
+  it("should stop after COUNT occurrences", async () => {
+    const second = await complete(task._id);
+    const third = await complete(second.body.nextOccurrence_id);
+    const last = await complete(third.body.nextOccurrence_id).expect(200);
+    expect(last.body.occurrence).toBe(3);
+    expect(last.body.nextOccurrence_id).toBeNull();
+    expect(await TodoTask.countDocuments()).toBe(3);
+  });
+
+  it("should edit one occurrence or the whole series", async () => {
+    const first = await complete(task._id);
+    const next = first.body.nextOccurrence_id;
+
+    await api
+      .patch(`/api/todoTasks/${next}?scope=series`)
+      .set("Authorization", "bearer " + token)
+      .send({ title: "Trash and recycling" })
+      .expect(200);
+    const second = await complete(next);
+    const third = await TodoTask.findById(second.body.nextOccurrence_id);
+    expect(third.title).toBe("Trash and recycling");
+    // completed occurrences keep their history
+    expect((await TodoTask.findById(task._id)).title).toBe("Take out the trash");
+
+    await api
+      .patch(`/api/todoTasks/${third._id}?scope=series`)
+      .set("Authorization", "bearer " + token)
+      .send({ dueDate: "2026-11-01" })
+      .expect(422);
+  });
+
+  it("should refuse If-Match and PUT for the whole series", async () => {
+    const response = await api
+      .get("/api/todoTasks/" + task._id)
+      .set("Authorization", "bearer " + token)
+      .expect(200);
+    // the ETag only covers this occurrence, not the ones after it
+    await api
+      .patch(`/api/todoTasks/${task._id}?scope=series`)
+      .set("Authorization", "bearer " + token)
+      .set("If-Match", response.headers.etag)
+      .send({ title: "Trash and recycling" })
+      .expect(400);
+    await api
+      .put(`/api/todoTasks/${task._id}?scope=series`)
+      .set("Authorization", "bearer " + token)
+      .send({ title: "Trash and recycling", description: "d", dueDate: "2026-10-19" })
+      .expect(422);
+    expect((await TodoTask.findById(task._id)).title).toBe("Take out the trash");
+  });
+
+  it("should return 422 for an unsupported rule", async () => {
+    const response = await api
+      .post("/api/todoTasks")
+      .set("Authorization", "bearer " + token)
+      .send({ ...todoTasks[0], recurrence: "FREQ=YEARLY" })
+      .expect(422);
+    expect(response.body.error.fields[0].path).toBe("recurrence.freq");
+  });
+});
+
+describe("Given a client edits a todoTask it has fetched", () => {
+  let url = null;
+  let etag = null;
+
+  beforeEach(async () => {
+    await TodoTask.deleteMany({});
+    const created = await api
+      .post("/api/todoTasks")
+      .set("Authorization", "bearer " + token)
+      .send({ ...todoTasks[0], priority: "high", recurrence: "FREQ=DAILY" })
+      .expect(201);
+    url = "/api/todoTasks/" + created.body._id;
+    const response = await api.get(url).set("Authorization", "bearer " + token).expect(200);
+    etag = response.headers.etag;
+  });
+
+  it("should return an ETag that changes with every write", async () => {
+    expect(etag).toMatch(/^".+"$/);
+    const response = await api
+      .patch(url)
+      .set("Authorization", "bearer " + token)
+      .send({ title: "Renamed" })
+      .expect(200);
+    expect(response.headers.etag).not.toBe(etag);
+  });
+
+  it("should merge a PATCH into the task and remove null members", async () => {
+    const response = await api
+      .patch(url)
+      .set("Authorization", "bearer " + token)
+      .set("Content-Type", "application/merge-patch+json")
+      .send(JSON.stringify({ title: "Renamed", recurrence: null }))
+      .expect(200);
+    expect(response.body.title).toBe("Renamed");
+    expect(response.body.priority).toBe("high");
+    expect(response.body.recurrence).toBeNull();
+  });
+
+  it("should replace every field on PUT and require the full task", async () => {
+    const response = await api
+      .put(url)
+      .set("Authorization", "bearer " + token)
+      .send({ title: "Replaced", description: "From scratch", dueDate: "2026-11-01" })
+      .expect(200);
+    expect(response.body.title).toBe("Replaced");
+    expect(response.body.priority).toBe("medium");
+    expect(response.body.recurrence).toBeNull();
+
+    const invalid = await api
+      .put(url)
+      .set("Authorization", "bearer " + token)
+      .send({ title: "No due date", description: "d" })
+      .expect(422);
+    expect(invalid.body.error.fields).toEqual([
+      { path: "dueDate", message: "dueDate is required" },
+    ]);
+  });
+
+  it("should return 412 when If-Match is stale", async () => {
+    await api
+      .patch(url)
+      .set("Authorization", "bearer " + token)
+      .set("If-Match", etag)
+      .send({ title: "First" })
+      .expect(200);
+    const response = await api
+      .patch(url)
+      .set("Authorization", "bearer " + token)
+      .set("If-Match", etag)
+      .send({ title: "Second" })
+      .expect(412);
+    expect(response.body.error.code).toBe("PRECONDITION_FAILED");
+    await api.delete(url).set("Authorization", "bearer " + token).set("If-Match", etag).expect(412);
+    expect((await TodoTask.findById(url.split("/").pop())).title).toBe("First");
+  });
+});
+
+describe("Given a todoTask is deleted", () => {
+  let task = null;
+
+  beforeEach(async () => {
+    await TodoTask.deleteMany({});
+    const created = await api
+      .post("/api/todoTasks")
+      .set("Authorization", "bearer " + token)
+      .send(todoTasks[0])
+      .expect(201);
+    task = created.body;
+    await api
+      .delete("/api/todoTasks/" + task._id)
+      .set("Authorization", "bearer " + token)
+      .expect(204);
+  });
+
+  it("should move it to the trash", async () => {
+    await api.get("/api/todoTasks/" + task._id).set("Authorization", "bearer " + token).expect(404);
+    const list = await api.get("/api/todoTasks").set("Authorization", "bearer " + token);
+    expect(list.body.todoTasks).toHaveLength(0);
+
+    const trash = await api
+      .get("/api/todoTasks/trash")
+      .set("Authorization", "bearer " + token)
+      .expect(200);
+    expect(trash.body.map((t) => t._id)).toEqual([task._id]);
+    expect(trash.body[0].deletedAt).toEqual(expect.any(String));
+  });
+
+  it("should restore it from the trash", async () => {
+    const response = await api
+      .post(`/api/todoTasks/${task._id}/restore`)
+      .set("Authorization", "bearer " + token)
+      .expect(200);
+    expect(response.body.deletedAt).toBeNull();
+    await api.get("/api/todoTasks/" + task._id).set("Authorization", "bearer " + token).expect(200);
+    await api
+      .post(`/api/todoTasks/${task._id}/restore`)
+      .set("Authorization", "bearer " + token)
+      .expect(404);
+  });
+
+  it("should purge it after the retention period", async () => {
+    await purgeTrash();
+    expect(await TodoTask.countDocuments({ deletedAt: { $ne: null } })).toBe(1);
+    const purged = await purgeTrash(new Date(Date.now() + 31 * 24 * 60 * 60 * 1000));
+    expect(purged.todoTasks).toBe(1);
+    expect(await TodoTask.countDocuments({ deletedAt: { $ne: null } })).toBe(0);
+  });
+});
+
+describe("Given a user sends a batch of operations", () => {
+  let tasks = null;
+
+  const bulk = (body) =>
+    api.post("/api/todoTasks/bulk").set("Authorization", "bearer " + token).send(body);
+
+  beforeEach(async () => {
+    await TodoTask.deleteMany({});
+    tasks = [];
+    for (const todoTask of todoTasks) {
+      const response = await api
+        .post("/api/todoTasks")
+        .set("Authorization", "bearer " + token)
+        .send(todoTask);
+      tasks.push(response.body);
+    }
+  });
+
+  it("should apply each operation and report the ones that fail", async () => {
+    const response = await bulk({
+      operations: [
+        { op: "create", data: { title: "New", description: "d", dueDate: "2026-11-01" } },
+        { op: "update", id: tasks[0]._id, data: { title: "Renamed" } },
+        { op: "delete", id: tasks[1]._id },
+        { op: "create", data: { description: "no title" } },
+        { op: "update", id: new mongoose.Types.ObjectId(), data: { title: "Gone" } },
+      ],
+    }).expect(200);
+
+    expect(response.body.results).toEqual([
+      { index: 0, op: "create", status: 201, _id: expect.any(String) },
+      { index: 1, op: "update", status: 200, _id: tasks[0]._id },
+      { index: 2, op: "delete", status: 204, _id: tasks[1]._id },
+      expect.objectContaining({ index: 3, status: 422 }),
+      expect.objectContaining({ index: 4, status: 404 }),
+    ]);
+    expect(response.body.results[3].error.fields).toEqual([
+      { path: "data.title", message: "title is required" },
+      { path: "data.dueDate", message: "dueDate is required" },
+    ]);
+    expect((await TodoTask.findById(tasks[0]._id)).title).toBe("Renamed");
+    expect(await TodoTask.findById(tasks[1]._id)).toBeNull();
+    expect(await TodoTask.countDocuments()).toBe(2);
+  });
+
+  it("should complete and then clear tasks matching a filter", async () => {
+    const completed = await bulk({
+      operations: [{ op: "completeAll", filter: { dueBefore: "2025-02-20" } }],
+    }).expect(200);
+    expect(completed.body.results[0]).toEqual({
+      index: 0,
+      op: "completeAll",
+      status: 200,
+      count: 1,
+    });
+    expect((await TodoTask.findById(tasks[0]._id)).completed).toBe(true);
+    expect((await TodoTask.findById(tasks[1]._id)).completed).toBe(false);
+
+    const cleared = await bulk({ operations: [{ op: "deleteCompleted" }] }).expect(200);
+    expect(cleared.body.results[0].count).toBe(1);
+    expect(await TodoTask.countDocuments()).toBe(1);
+  });
+
+  it("should apply nothing in atomic mode when an operation fails", async () => {
+    const response = await bulk({
+      atomic: true,
+      operations: [
+        { op: "delete", id: tasks[0]._id },
+        { op: "update", id: tasks[1]._id, data: { priority: "whenever" } },
+      ],
+    }).expect(422);
+    expect(response.body.results.map((result) => result.status)).toEqual([424, 422]);
+    expect(await TodoTask.countDocuments()).toBe(2);
+  });
+
+  it("should apply a whole batch in atomic mode, or refuse it without transactions", async () => {
+    const operations = [
+      { op: "create", data: { title: "New", description: "d", dueDate: "2026-11-01" } },
+      { op: "update", id: tasks[0]._id, data: { title: "Renamed" } },
+      { op: "delete", id: tasks[1]._id },
+    ];
+    const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+    if (!hello.setName) {
+      // a single server has no transactions
+      await bulk({ atomic: true, operations }).expect(501);
+      expect(await TodoTask.countDocuments()).toBe(2);
+      expect((await TodoTask.findById(tasks[0]._id)).title).toBe(tasks[0].title);
+      return;
+    }
+
+    const response = await bulk({ atomic: true, operations }).expect(200);
+    expect(response.body.results.map((result) => result.status)).toEqual([201, 200, 204]);
+    expect((await TodoTask.findById(tasks[0]._id)).title).toBe("Renamed");
+    expect(await TodoTask.findById(tasks[1]._id)).toBeNull();
+    expect(await TodoTask.findById(response.body.results[0]._id)).not.toBeNull();
+  });
+
+  it("should report tasks deleted or changed while the batch ran", async () => {
+    // another request gets in between reading the tasks and writing them
+    const bulkWrite = TodoTask.bulkWrite.bind(TodoTask);
+    const spy = jest.spyOn(TodoTask, "bulkWrite").mockImplementationOnce(async (...args) => {
+      await TodoTask.updateOne({ _id: tasks[0]._id }, { deletedAt: new Date() });
+      await TodoTask.updateOne({ _id: tasks[1]._id }, { title: "Changed elsewhere" });
+      return bulkWrite(...args);
+    });
+
+    try {
+      const response = await bulk({
+        operations: [
+          { op: "update", id: tasks[0]._id, data: { title: "Renamed" } },
+          { op: "delete", id: tasks[1]._id },
+        ],
+      }).expect(200);
+      expect(response.body.results.map((result) => result.status)).toEqual([404, 412]);
+    } finally {
+      spy.mockRestore();
+    }
+    expect((await TodoTask.findById(tasks[1]._id)).title).toBe("Changed elsewhere");
+  });
+
+  it("should apply several operations on the same task in order", async () => {
+    const response = await bulk({
+      operations: [
+        { op: "update", id: tasks[0]._id, data: { title: "Renamed" } },
+        { op: "completeAll" },
+        { op: "delete", id: tasks[0]._id },
+      ],
+    }).expect(200);
+    expect(response.body.results.map((result) => result.status)).toEqual([200, 200, 204]);
+    expect(await TodoTask.findById(tasks[0]._id)).toBeNull();
+    expect((await TodoTask.findById(tasks[1]._id)).completed).toBe(true);
+  });
+
+  it("should return 422 for an empty or oversized batch", async () => {
+    await bulk({ operations: [] }).expect(422);
+    const operations = Array.from({ length: 101 }, () => ({ op: "deleteCompleted" }));
+    await bulk({ operations }).expect(422);
+  });
+});
+
+describe("Given a user exports and imports todoTasks", () => {
+  beforeEach(async () => {
+    await TodoTask.deleteMany({});
+    await api
+      .post("/api/todoTasks")
+      .set("Authorization", "bearer " + token)
+      .send({
+        title: "Water plants, all of them",
+        description: 'Say "hi"\nto the ferns',
+        dueDate: "2026-10-20T08:00:00.000Z",
+        priority: "high",
+        recurrence: "FREQ=WEEKLY;BYDAY=TU",
+      })
+      .expect(201);
+  });
+
+  const exportAs = (format) =>
+    api
+      .get("/api/todoTasks/export?format=" + format)
+      .set("Authorization", "bearer " + token)
+      .expect(200);
+
+  it("should export JSON, CSV and iCalendar", async () => {
+    const json = await exportAs("json").expect("Content-Type", /application\/json/);
+    expect(json.body.map((task) => task.title)).toEqual(["Water plants, all of them"]);
+
+    const csv = await exportAs("csv").expect("Content-Type", /text\/csv/);
+    const [header, row] = csv.text.split("\r\n");
+    expect(header.split(",")).toEqual(expect.arrayContaining(["title", "dueDate", "recurrence"]));
+    expect(row).toContain('"Water plants, all of them"');
+    expect(row).toContain("FREQ=WEEKLY;BYDAY=TU");
+
+    const ics = await exportAs("ics").expect("Content-Type", /text\/calendar/);
+    expect(ics.text).toMatch(/^BEGIN:VCALENDAR\r\n/);
+    expect(ics.text).toContain("SUMMARY:Water plants\\, all of them\r\n");
+    expect(ics.text).toContain("DUE:20261020T080000Z\r\n");
+    expect(ics.text).toContain("PRIORITY:3\r\n");
+    expect(ics.text).toContain("RRULE:FREQ=WEEKLY;BYDAY=TU\r\n");
+  });
+
+  it("should import its own CSV export", async () => {
+    const csv = await exportAs("csv");
+    const response = await api
+      .post("/api/todoTasks/import")
+      .set("Authorization", "bearer " + token)
+      .set("Content-Type", "text/csv")
+      .send(csv.text)
+      .expect(201);
+    expect(response.body).toEqual(expect.objectContaining({ total: 1, valid: 1, invalid: 0 }));
+
+    const copy = await TodoTask.findById(response.body.rows[0]._id);
+    expect(copy.description).toBe('Say "hi"\nto the ferns');
+    expect(copy.recurrence.byWeekday).toEqual(["TU"]);
+  });
+
+  it("should report invalid rows and create nothing on a dry run", async () => {
+    const response = await api
+      .post("/api/todoTasks/import?dryRun=true")
+      .set("Authorization", "bearer " + token)
+      .send([
+        { title: "Fine", description: "d", dueDate: "2026-11-01" },
+        { title: "No date", description: "d" },
+        { title: "Bad tag", description: "d", dueDate: "2026-11-01", tags: ["nope"] },
+      ])
+      .expect(200);
+    expect(response.body.rows).toEqual([
+      { row: 1, valid: true },
+      {
+        row: 2,
+        valid: false,
+        error: expect.objectContaining({
+          fields: [{ path: "dueDate", message: "dueDate is required" }],
+        }),
+      },
+      { row: 3, valid: false, error: expect.objectContaining({ code: "VALIDATION_FAILED" }) },
+    ]);
+    expect(await TodoTask.countDocuments()).toBe(1);
+  });
+});
+
+describe("Given a client follows the todoTask stream", () => {
+  let server = null;
+
+  beforeAll((done) => {
+    server = app.listen(0, done);
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  // open the stream and collect its events until `count` have arrived
+  const follow = (count, headers = {}) => {
+    let request = null;
+    const events = new Promise((resolve, reject) => {
+      request = http.get(
+        {
+          port: server.address().port,
+          path: "/api/todoTasks/stream",
+          headers: { Authorization: "bearer " + token, ...headers },
+        },
+        (res) => {
+          expect(res.headers["content-type"]).toMatch(/text\/event-stream/);
+          let text = "";
+          res.setEncoding("utf8");
+          res.on("data", (chunk) => {
+            text += chunk;
+            const fields = (block) => block.split("\n").map((line) => line.split(": "));
+            const received = text
+              .split("\n\n")
+              .filter((block) => block.includes("event: "))
+              .map((block) => Object.fromEntries(fields(block)));
+            if (received.length >= count) {
+              request.destroy();
+              resolve(received.slice(0, count));
+            }
+          });
+        }
+      );
+      request.on("error", reject);
+    });
+    // the stream is subscribed once its headers are sent
+    const ready = new Promise((resolve) => request.on("response", resolve));
+    return { events, ready };
+  };
+
+  it("should send created, updated and deleted events with ids", async () => {
+    const stream = follow(3);
+    await stream.ready;
+
+    const created = await api
+      .post("/api/todoTasks")
+      .set("Authorization", "bearer " + token)
+      .send(todoTasks[0])
+      .expect(201);
+    await api
+      .patch(`/api/todoTasks/${created.body._id}`)
+      .set("Authorization", "bearer " + token)
+      .send({ priority: "high" })
+      .expect(200);
+    await api
+      .delete(`/api/todoTasks/${created.body._id}`)
+      .set("Authorization", "bearer " + token)
+      .expect(204);
+
+    const events = await stream.events;
+    expect(events.map((event) => event.event)).toEqual(["created", "updated", "deleted"]);
+    expect(JSON.parse(events[1].data)).toEqual(
+      expect.objectContaining({ _id: created.body._id, priority: "high" })
+    );
+    expect(JSON.parse(events[2].data)).toEqual({ _id: created.body._id });
+    expect(new Set(events.map((event) => event.id)).size).toBe(3);
+  });
+
+  it("should replay missed events after Last-Event-ID", async () => {
+    const stream = follow(1);
+    await stream.ready;
+    const first = await api
+      .post("/api/todoTasks")
+      .set("Authorization", "bearer " + token)
+      .send(todoTasks[0])
+      .expect(201);
+    const [seen] = await stream.events;
+
+    // changed while the client was away
+    const second = await api
+      .post("/api/todoTasks")
+      .set("Authorization", "bearer " + token)
+      .send(todoTasks[1])
+      .expect(201);
+
+    const [missed] = await follow(1, { "Last-Event-ID": seen.id }).events;
+    expect(JSON.parse(seen.data)._id).toBe(first.body._id);
+    expect(missed.event).toBe("created");
+    expect(JSON.parse(missed.data)._id).toBe(second.body._id);
+
+    const [reset] = await follow(1, { "Last-Event-ID": "unknown-1" }).events;
+    expect(reset.event).toBe("reset");
+  });
+
+  it("should send an updated event for each task of a renamed tag", async () => {
+    await Tag.deleteMany({});
+    const tag = await api
+      .post("/api/tags")
+      .set("Authorization", "bearer " + token)
+      .send({ name: "work" })
+      .expect(201);
+    const tagged = await api
+      .post("/api/todoTasks")
+      .set("Authorization", "bearer " + token)
+      .send({ ...todoTasks[0], tags: ["work"] })
+      .expect(201);
+
+    const stream = follow(1);
+    await stream.ready;
+    await api
+      .patch(`/api/tags/${tag.body._id}`)
+      .set("Authorization", "bearer " + token)
+      .send({ name: "office" })
+      .expect(200);
+
+    const [renamed] = await stream.events;
+    expect(renamed.event).toBe("updated");
+    expect(JSON.parse(renamed.data)).toEqual(
+      expect.objectContaining({ _id: tagged.body._id, tags: ["office"] })
+    );
+  });
+});
+
 afterAll(() => {
   mongoose.connection.close();
 });
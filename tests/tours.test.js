@@ -1,9 +1,18 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const mongoose = require("mongoose");
+const sharp = require("sharp");
 const supertest = require("supertest");
 const app = require("./app-test"); // Your Express app
 const api = supertest(app);
 const Tour = require("../models/tourModel");
 const User = require("../models/userModel");
+const Review = require("../models/reviewModel");
+const { setStorage, createDiskStorage } = require("../utils/storage");
+const { purgeTrash } = require("../utils/trash");
+
+const DAY = 24 * 60 * 60 * 1000;
 
 const tours = [
   {
@@ -51,6 +60,16 @@ describe("Given there are initially some tours saved", () => {
     ]);
   });
 
+  it("should return 404 for a malformed tour id", async () => {
+    await api.get("/api/tours/not-an-id").expect(404);
+    await api
+      .patch("/api/tours/not-an-id")
+      .set("Authorization", "bearer " + token)
+      .send({ price: "120" })
+      .expect(404);
+    await api.get("/api/tours/not-an-id/reviews").expect(404);
+  });
+
   it("should return all tours as JSON when GET /api/tours is called", async () => {
     await api
       .get("/api/tours")
@@ -96,9 +115,12 @@ describe("Given there are initially some tours saved", () => {
       .send(updatedTour)
       .expect(200);
     const updatedTourCheck = await Tour.findById(tour._id);
+    const { image, ...updatedFields } = updatedTour;
     expect(updatedTourCheck.toJSON()).toEqual(
-      expect.objectContaining(updatedTour)
+      expect.objectContaining({ ...updatedFields, price: 2000 })
     );
+    // images only change through PUT /api/tours/:id/image
+    expect(updatedTourCheck.image).toBe(tour.image);
   });
 
   it("should delete one tour by ID when DELETE /api/tours/:id is called", async () => {
@@ -112,6 +134,382 @@ describe("Given there are initially some tours saved", () => {
   });
 });
 
+describe("Given tours are owned by the user who created them", () => {
+  let otherToken = null;
+
+  beforeAll(async () => {
+    const result = await api.post("/api/users/signup").send({
+      name: "Jane Doe",
+      email: "jane@example.com",
+      password: "4wa94=Vr++",
+    });
+    otherToken = result.body.token;
+  });
+
+  beforeEach(async () => {
+    await Tour.deleteMany({});
+    await api
+      .post("/api/tours")
+      .set("Authorization", "bearer " + token)
+      .send(tours[0]);
+  });
+
+  it("should record the creator as the owner", async () => {
+    const owner = await User.findOne({ email: "john@example.com" });
+    const tour = await Tour.findOne();
+    expect(tour.user_id.toString()).toBe(owner._id.toString());
+  });
+
+  it("should let anyone read tours without a token", async () => {
+    const tour = await Tour.findOne();
+    await api.get("/api/tours").expect(200);
+    await api.get("/api/tours/" + tour._id).expect(200);
+  });
+
+  it("should return 401 when creating a tour without a token", async () => {
+    await api.post("/api/tours").send(tours[1]).expect(401);
+  });
+
+  it("should return 403 when another user updates or deletes the tour", async () => {
+    const tour = await Tour.findOne();
+    await api
+      .patch("/api/tours/" + tour._id)
+      .set("Authorization", "bearer " + otherToken)
+      .send({ name: "Hijacked" })
+      .expect(403);
+    await api
+      .delete("/api/tours/" + tour._id)
+      .set("Authorization", "bearer " + otherToken)
+      .expect(403);
+    const tourCheck = await Tour.findById(tour._id);
+    expect(tourCheck.name).toBe(tours[0].name);
+  });
+
+  it("should let an admin update and delete any tour", async () => {
+    const tour = await Tour.findOne();
+    await User.updateOne({ email: "jane@example.com" }, { role: "admin" });
+    await api
+      .patch("/api/tours/" + tour._id)
+      .set("Authorization", "bearer " + otherToken)
+      .send({ name: "Moderated" })
+      .expect(200);
+    await api
+      .delete("/api/tours/" + tour._id)
+      .set("Authorization", "bearer " + otherToken)
+      .expect(204);
+    await User.updateOne({ email: "jane@example.com" }, { role: "user" });
+  });
+
+  it("should return 422 for an invalid tour", async () => {
+    const response = await api
+      .post("/api/tours")
+      .set("Authorization", "bearer " + token)
+      .send({ name: "No price", info: "info", image: "x.jpg", price: "free" })
+      .expect(422);
+    expect(response.body.error.fields).toEqual([
+      { path: "price", message: "price must be a number" },
+    ]);
+  });
+
+  it("should ignore ids, timestamps and computed fields in updates", async () => {
+    const tour = await Tour.findOne();
+    await api
+      .patch("/api/tours/" + tour._id)
+      .set("Authorization", "bearer " + token)
+      .send({
+        _id: new mongoose.Types.ObjectId(),
+        createdAt: "2000-01-01T00:00:00.000Z",
+        ratingsAverage: 5,
+        ratingsCount: 1000,
+      })
+      .expect(200);
+    const tourCheck = await Tour.findById(tour._id);
+    expect(tourCheck.createdAt.toISOString()).toBe(tour.createdAt.toISOString());
+    expect(tourCheck.ratingsCount).toBe(0);
+  });
+
+  it("should not let the owner reassign the tour to another user", async () => {
+    const tour = await Tour.findOne();
+    const other = await User.findOne({ email: "jane@example.com" });
+    await api
+      .patch("/api/tours/" + tour._id)
+      .set("Authorization", "bearer " + token)
+      .send({ user_id: other._id })
+      .expect(200);
+    const tourCheck = await Tour.findById(tour._id);
+    expect(tourCheck.user_id.toString()).toBe(tour.user_id.toString());
+  });
+});
+
+describe("Given a client edits a tour it has fetched", () => {
+  let url = null;
+  let etag = null;
+
+  beforeEach(async () => {
+    await Tour.deleteMany({});
+    const created = await api
+      .post("/api/tours")
+      .set("Authorization", "bearer " + token)
+      .send(tours[0])
+      .expect(201);
+    url = "/api/tours/" + created.body._id;
+    const response = await api.get(url).expect(200);
+    etag = response.headers.etag;
+  });
+
+  it("should merge a PATCH and validate a PUT as a whole tour", async () => {
+    const response = await api
+      .patch(url)
+      .set("Authorization", "bearer " + token)
+      .set("If-Match", etag)
+      .send({ price: 1500 })
+      .expect(200);
+    expect(response.body.name).toBe(tours[0].name);
+    expect(response.body.price).toBe(1500);
+    expect(response.headers.etag).not.toBe(etag);
+
+    const invalid = await api
+      .put(url)
+      .set("Authorization", "bearer " + token)
+      .send({ name: "Only a name" })
+      .expect(422);
+    expect(invalid.body.error.fields.map((field) => field.path)).toEqual(["info", "price"]);
+  });
+
+  it("should return 412 and keep the tour when If-Match is stale", async () => {
+    await api
+      .patch(url)
+      .set("Authorization", "bearer " + token)
+      .send({ name: "Renamed" })
+      .expect(200);
+    await api
+      .put(url)
+      .set("Authorization", "bearer " + token)
+      .set("If-Match", etag)
+      .send({ name: "Stale", info: "Stale info", price: 1 })
+      .expect(412);
+    await api
+      .delete(url)
+      .set("Authorization", "bearer " + token)
+      .set("If-Match", etag)
+      .expect(412);
+    const tourCheck = await Tour.findById(url.split("/").pop());
+    expect(tourCheck.name).toBe("Renamed");
+  });
+});
+
+describe("Given a tour is deleted", () => {
+  let adminToken = null;
+  let tour = null;
+
+  beforeAll(async () => {
+    const result = await api.post("/api/users/signup").send({
+      name: "Ada Admin",
+      email: "ada@example.com",
+      password: "4wa94=Vr++",
+    });
+    adminToken = result.body.token;
+    await User.updateOne({ email: "ada@example.com" }, { role: "admin" });
+  });
+
+  beforeEach(async () => {
+    await Tour.deleteMany({});
+    await Review.deleteMany({});
+    const created = await api
+      .post("/api/tours")
+      .set("Authorization", "bearer " + token)
+      .send(tours[0])
+      .expect(201);
+    tour = created.body;
+    await api
+      .post(`/api/tours/${tour._id}/reviews`)
+      .set("Authorization", "bearer " + adminToken)
+      .send({ rating: 4 })
+      .expect(201);
+    await api
+      .delete("/api/tours/" + tour._id)
+      .set("Authorization", "bearer " + token)
+      .expect(204);
+  });
+
+  it("should hide it from the catalog", async () => {
+    await api.get("/api/tours/" + tour._id).expect(404);
+    const response = await api.get("/api/tours").expect(200);
+    expect(response.body.total).toBe(0);
+  });
+
+  it("should let only admins list and restore it", async () => {
+    await api.get("/api/tours/trash").set("Authorization", "bearer " + token).expect(403);
+    await api
+      .post(`/api/tours/${tour._id}/restore`)
+      .set("Authorization", "bearer " + token)
+      .expect(403);
+
+    const trash = await api
+      .get("/api/tours/trash")
+      .set("Authorization", "bearer " + adminToken)
+      .expect(200);
+    expect(trash.body.map((t) => t._id)).toEqual([tour._id]);
+
+    const restored = await api
+      .post(`/api/tours/${tour._id}/restore`)
+      .set("Authorization", "bearer " + adminToken)
+      .expect(200);
+    expect(restored.body.deletedAt).toBeNull();
+    expect(restored.body.ratingsCount).toBe(1);
+    await api.get("/api/tours/" + tour._id).expect(200);
+  });
+
+  it("should purge it with its reviews after the retention period", async () => {
+    await purgeTrash();
+    expect(await Tour.countDocuments({ deletedAt: { $ne: null } })).toBe(1);
+
+    const purged = await purgeTrash(new Date(Date.now() + 31 * DAY));
+    expect(purged.tours).toBe(1);
+    expect(await Tour.countDocuments({ deletedAt: { $ne: null } })).toBe(0);
+    expect(await Review.countDocuments({ tour_id: tour._id })).toBe(0);
+    await api
+      .post(`/api/tours/${tour._id}/restore`)
+      .set("Authorization", "bearer " + adminToken)
+      .expect(404);
+  });
+});
+
+describe("Given a user browses the tour catalog", () => {
+  beforeEach(async () => {
+    await Tour.deleteMany({});
+    await Tour.syncIndexes();
+    const owner = await User.findOne({ email: "john@example.com" });
+    await Tour.create([
+      { ...tours[0], price: 1900, user_id: owner._id },
+      { ...tours[1], price: 2195, user_id: owner._id },
+      {
+        user_id: owner._id,
+        name: "Paris in 3 Days Tour",
+        info: "Experience the beauty of Paris in just 3 days.",
+        image: "https://www.course-api.com/images/tours/tour-3.jpeg",
+        price: 1500,
+      },
+    ]);
+  });
+
+  it("should return a page of tours with metadata", async () => {
+    const response = await api.get("/api/tours?limit=2&page=2").expect(200);
+    expect(response.body.tours).toHaveLength(1);
+    expect(response.body).toEqual(
+      expect.objectContaining({ page: 2, limit: 2, total: 3, totalPages: 2 })
+    );
+  });
+
+  it("should search name and info by text", async () => {
+    const response = await api.get("/api/tours?q=london").expect(200);
+    expect(response.body.tours.map((t) => t.name)).toEqual(["London in 7 Days Tour"]);
+  });
+
+  it("should filter by price range and sort by price", async () => {
+    const response = await api
+      .get("/api/tours?minPrice=1600&maxPrice=2500&sort=-price")
+      .expect(200);
+    expect(response.body.tours.map((t) => t.price)).toEqual([2195, 1900]);
+  });
+
+  it("should only return the requested fields", async () => {
+    const response = await api.get("/api/tours?fields=name,price").expect(200);
+    for (const tour of response.body.tours) {
+      expect(Object.keys(tour).sort()).toEqual(["_id", "name", "price"]);
+    }
+  });
+
+  it("should return 400 for invalid query parameters", async () => {
+    for (const query of ["minPrice=cheap", "sort=info", "fields=password", "page=0"]) {
+      await api.get("/api/tours?" + query).expect(400);
+    }
+  });
+});
+
+describe("Given a tour owner uploads an image", () => {
+  const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), "tour-images-"));
+  const stored = (url) => path.join(uploadDir, url.replace(/^\/uploads\//, ""));
+  let otherToken = null;
+  let png = null;
+
+  beforeAll(async () => {
+    setStorage(createDiskStorage(uploadDir));
+    const result = await api
+      .post("/api/users/login")
+      .send({ email: "jane@example.com", password: "4wa94=Vr++" });
+    otherToken = result.body.token;
+    png = await sharp({
+      create: { width: 800, height: 600, channels: 3, background: "#3366aa" },
+    })
+      .png()
+      .toBuffer();
+  });
+
+  beforeEach(async () => {
+    await Tour.deleteMany({});
+    await api
+      .post("/api/tours")
+      .set("Authorization", "bearer " + token)
+      .send(tours[0]);
+  });
+
+  const upload = (tour, file, options, authToken = token) =>
+    api
+      .put(`/api/tours/${tour._id}/image`)
+      .set("Authorization", "bearer " + authToken)
+      .attach("image", file, options);
+
+  it("should store the image with a thumbnail", async () => {
+    const tour = await Tour.findOne();
+    const response = await upload(tour, png, "tour.png").expect(200);
+
+    expect(response.body.image).toMatch(/^\/uploads\/tours\/.+\.webp$/);
+    const thumbnail = await sharp(stored(response.body.thumbnail)).metadata();
+    expect(thumbnail).toEqual(expect.objectContaining({ width: 400, height: 300 }));
+    expect(fs.existsSync(stored(response.body.image))).toBe(true);
+  });
+
+  it("should remove the old files when the image is replaced or the tour purged", async () => {
+    const tour = await Tour.findOne();
+    const first = await upload(tour, png, "first.png");
+    const second = await upload(tour, png, "second.png").expect(200);
+    expect(fs.existsSync(stored(first.body.image))).toBe(false);
+    expect(fs.existsSync(stored(first.body.thumbnail))).toBe(false);
+
+    await api
+      .delete("/api/tours/" + tour._id)
+      .set("Authorization", "bearer " + token)
+      .expect(204);
+    // a deleted tour keeps its image until it leaves the trash for good
+    expect(fs.existsSync(stored(second.body.image))).toBe(true);
+    await purgeTrash(new Date(Date.now() + 31 * DAY));
+    expect(fs.existsSync(stored(second.body.image))).toBe(false);
+  });
+
+  it("should return 422 for files that are not images", async () => {
+    const tour = await Tour.findOne();
+    await upload(tour, Buffer.from("hello"), "notes.txt").expect(422);
+    // declared as PNG but the content is not
+    const response = await upload(tour, Buffer.from("hello"), {
+      filename: "fake.png",
+      contentType: "image/png",
+    }).expect(422);
+    expect(response.body.error.fields).toEqual([
+      { path: "image", message: "image must be a JPEG, PNG or WebP file" },
+    ]);
+  });
+
+  it("should return 403 when another user uploads an image", async () => {
+    const tour = await Tour.findOne();
+    await upload(tour, png, "tour.png", otherToken).expect(403);
+  });
+
+  afterAll(() => {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+});
+
 afterAll(() => {
   mongoose.connection.close();
 });
@@ -2,7 +2,10 @@ const mongoose = require("mongoose");
 const supertest = require("supertest");
 const app = require("./app-test");
 const api = supertest(app);
+const jwt = require("jsonwebtoken");
 const User = require("../models/userModel");
+const TodoTask = require("../models/todoTaskModel");
+const { setTransport, getTransport } = require("../utils/mailer");
 
 beforeAll(async () => {
   await User.deleteMany({});
@@ -42,7 +45,7 @@ describe('User Routes', () => {
         .send(userData);
 
       // Assert
-      expect(response.status).toBe(400);
+      expect(response.status).toBe(422);
       expect(response.body).toHaveProperty('error');
     });
   });
@@ -84,6 +87,338 @@ describe('User Routes', () => {
   });
 });
 
+describe("Validation errors", () => {
+  it("should return 422 with the offending fields on an invalid signup", async () => {
+    const response = await api
+      .post("/api/users/signup")
+      .send({ email: "not-an-email", password: "weak" })
+      .expect(422);
+    expect(response.body.error.code).toBe("VALIDATION_FAILED");
+    expect(response.body.error.fields.map((f) => f.path).sort()).toEqual([
+      "email",
+      "name",
+      "password",
+    ]);
+  });
+
+  it("should return 422 when signing up with an email already in use", async () => {
+    const user = { name: "Twice", email: "twice@example.com", password: "R3g5T7#gh" };
+    await api.post("/api/users/signup").send(user).expect(201);
+    const response = await api.post("/api/users/signup").send(user).expect(422);
+    expect(response.body.error.fields).toEqual([
+      { path: "email", message: "User already exists" },
+    ]);
+  });
+});
+
+describe("Profile of the logged in user", () => {
+  let token = null;
+
+  beforeAll(async () => {
+    const response = await api.post("/api/users/signup").send({
+      name: "Profile",
+      email: "profile@example.com",
+      password: "R3g5T7#gh",
+      phone_number: "1234567890",
+      gender: "Female",
+      date_of_birth: "1990-01-01",
+      membership_status: "Active",
+    });
+    token = response.body.token;
+  });
+
+  it("should return the profile without the password hash", async () => {
+    const response = await api
+      .get("/api/users/me")
+      .set("Authorization", "bearer " + token)
+      .expect(200);
+    expect(response.body.email).toBe("profile@example.com");
+    expect(response.body.phone_number).toBe("1234567890");
+    expect(response.body).not.toHaveProperty("password");
+  });
+
+  it("should return 401 without a token", async () => {
+    await api.get("/api/users/me").expect(401);
+  });
+
+  it("should update profile fields", async () => {
+    const response = await api
+      .patch("/api/users/me")
+      .set("Authorization", "bearer " + token)
+      .send({ name: "Renamed", membership_status: "Inactive" })
+      .expect(200);
+    expect(response.body.name).toBe("Renamed");
+    expect(response.body.membership_status).toBe("Inactive");
+    expect(response.body).not.toHaveProperty("password");
+  });
+
+  it("should reject invalid profile values", async () => {
+    for (const update of [
+      { phone_number: "12ab" },
+      { gender: "Unknown" },
+      { date_of_birth: "2999-01-01" },
+      { name: "" },
+    ]) {
+      await api
+        .patch("/api/users/me")
+        .set("Authorization", "bearer " + token)
+        .send(update)
+        .expect(422);
+    }
+  });
+
+  it("should not allow changing email, password or role", async () => {
+    await api
+      .patch("/api/users/me")
+      .set("Authorization", "bearer " + token)
+      .send({ role: "admin" })
+      .expect(422);
+    const user = await User.findOne({ email: "profile@example.com" });
+    expect(user.role).toBe("user");
+  });
+
+  it("should delete the account together with its todoTasks", async () => {
+    await api
+      .post("/api/todoTasks")
+      .set("Authorization", "bearer " + token)
+      .send({ title: "t", description: "d", dueDate: "2025-01-01" })
+      .expect(201);
+    const user = await User.findOne({ email: "profile@example.com" });
+
+    await api
+      .delete("/api/users/me")
+      .set("Authorization", "bearer " + token)
+      .expect(204);
+
+    expect(await User.findById(user._id)).toBeNull();
+    expect(await TodoTask.countDocuments({ user_id: user._id })).toBe(0);
+    await api
+      .get("/api/users/me")
+      .set("Authorization", "bearer " + token)
+      .expect(401);
+  });
+});
+
+describe("Changing and resetting passwords", () => {
+  const email = "password@example.com";
+  const outbox = [];
+
+  beforeAll(async () => {
+    setTransport({ send: async (message) => outbox.push(message) });
+    await api
+      .post("/api/users/signup")
+      .send({ name: "Password", email, password: "R3g5T7#gh" });
+  });
+
+  const login = (password) => api.post("/api/users/login").send({ email, password });
+
+  it("should change the password when the current one is given", async () => {
+    const { body } = await login("R3g5T7#gh");
+    await api
+      .post("/api/users/me/password")
+      .set("Authorization", "bearer " + body.token)
+      .send({ currentPassword: "wrong", newPassword: "N3w#Passw0rd" })
+      .expect(400);
+    await api
+      .post("/api/users/me/password")
+      .set("Authorization", "bearer " + body.token)
+      .send({ currentPassword: "R3g5T7#gh", newPassword: "N3w#Passw0rd" })
+      .expect(204);
+    await login("R3g5T7#gh").expect(400);
+    await login("N3w#Passw0rd").expect(200);
+  });
+
+  it("should answer forgot-password the same way for unknown emails", async () => {
+    const before = outbox.length;
+    await api
+      .post("/api/users/forgot-password")
+      .send({ email: "nobody@example.com" })
+      .expect(202);
+    expect(outbox.length).toBe(before);
+  });
+
+  it("should reset the password once with the mailed token and end old sessions", async () => {
+    const { body: session } = await login("N3w#Passw0rd");
+
+    await api.post("/api/users/forgot-password").send({ email }).expect(202);
+    const mail = outbox[outbox.length - 1];
+    expect(mail.to).toBe(email);
+    const token = mail.text.match(/token=([0-9a-f]+)/)[1];
+
+    await api
+      .post("/api/users/reset-password")
+      .send({ token, newPassword: "weak" })
+      .expect(422);
+    await api
+      .post("/api/users/reset-password")
+      .send({ token, newPassword: "R3set#Passw0rd" })
+      .expect(204);
+    await api
+      .post("/api/users/reset-password")
+      .send({ token, newPassword: "An0ther#Passw0rd" })
+      .expect(400);
+
+    await login("R3set#Passw0rd").expect(200);
+    await api
+      .get("/api/users/me")
+      .set("Authorization", "bearer " + session.token)
+      .expect(401);
+  });
+
+  it("should not fall back to printing mail in production", () => {
+    const { NODE_ENV, MAIL_TRANSPORT } = process.env;
+    setTransport(null);
+    process.env.NODE_ENV = "production";
+    delete process.env.MAIL_TRANSPORT;
+    try {
+      expect(() => getTransport()).toThrow(/No mail transport configured/);
+    } finally {
+      // process.env turns undefined into "undefined", so unset instead
+      for (const [name, value] of Object.entries({ NODE_ENV, MAIL_TRANSPORT })) {
+        if (value === undefined) delete process.env[name];
+        else process.env[name] = value;
+      }
+      setTransport({ send: async (message) => outbox.push(message) });
+    }
+  });
+});
+
+describe("Sessions and refresh tokens", () => {
+  const credentials = { email: "session@example.com", password: "R3g5T7#gh" };
+
+  beforeAll(async () => {
+    await api.post("/api/users/signup").send({ ...credentials, name: "Session" });
+  });
+
+  const login = async () => {
+    const response = await api.post("/api/users/login").send(credentials).expect(200);
+    expect(response.body).toHaveProperty("refreshToken");
+    return response.body;
+  };
+
+  it("should rotate the refresh token on refresh", async () => {
+    const { refreshToken } = await login();
+    const response = await api
+      .post("/api/users/refresh")
+      .send({ refreshToken })
+      .expect(200);
+    expect(response.body.token).toBeDefined();
+    expect(response.body.refreshToken).not.toBe(refreshToken);
+    await api
+      .get("/api/todoTasks")
+      .set("Authorization", "bearer " + response.body.token)
+      .expect(200);
+  });
+
+  it("should revoke the session when a rotated refresh token is reused", async () => {
+    const { refreshToken } = await login();
+    const rotated = await api.post("/api/users/refresh").send({ refreshToken });
+    await api.post("/api/users/refresh").send({ refreshToken }).expect(401);
+    await api
+      .post("/api/users/refresh")
+      .send({ refreshToken: rotated.body.refreshToken })
+      .expect(401);
+    await api
+      .get("/api/todoTasks")
+      .set("Authorization", "bearer " + rotated.body.token)
+      .expect(401);
+  });
+
+  it("should reject the access and refresh token after logout", async () => {
+    const { token, refreshToken } = await login();
+    await api
+      .post("/api/users/logout")
+      .set("Authorization", "bearer " + token)
+      .expect(204);
+    await api
+      .get("/api/todoTasks")
+      .set("Authorization", "bearer " + token)
+      .expect(401);
+    await api.post("/api/users/refresh").send({ refreshToken }).expect(401);
+  });
+
+  it("should end every session on logout-all", async () => {
+    const first = await login();
+    const second = await login();
+    await api
+      .post("/api/users/logout-all")
+      .set("Authorization", "bearer " + first.token)
+      .expect(204);
+    await api
+      .get("/api/todoTasks")
+      .set("Authorization", "bearer " + second.token)
+      .expect(401);
+  });
+});
+
+describe("User roles", () => {
+  let userToken = null;
+  let adminToken = null;
+  let userId = null;
+
+  beforeAll(async () => {
+    await User.deleteMany({});
+    let response = await api.post("/api/users/signup").send({
+      name: "Regular",
+      email: "regular@example.com",
+      password: "R3g5T7#gh",
+    });
+    userToken = response.body.token;
+    userId = jwt.decode(userToken)._id;
+
+    await api.post("/api/users/signup").send({
+      name: "Admin",
+      email: "admin@example.com",
+      password: "R3g5T7#gh",
+    });
+    await User.updateOne({ email: "admin@example.com" }, { role: "admin" });
+    response = await api
+      .post("/api/users/login")
+      .send({ email: "admin@example.com", password: "R3g5T7#gh" });
+    adminToken = response.body.token;
+  });
+
+  it("should give new users the user role and embed it in the token", async () => {
+    const user = await User.findById(userId);
+    expect(user.role).toBe("user");
+    expect(jwt.decode(userToken).role).toBe("user");
+    expect(jwt.decode(adminToken).role).toBe("admin");
+  });
+
+  it("should return 403 when a non-admin lists users", async () => {
+    await api
+      .get("/api/users")
+      .set("Authorization", "bearer " + userToken)
+      .expect(403);
+  });
+
+  it("should let an admin list users without password hashes", async () => {
+    const response = await api
+      .get("/api/users")
+      .set("Authorization", "bearer " + adminToken)
+      .expect(200);
+    expect(response.body).toHaveLength(2);
+    expect(response.body[0]).not.toHaveProperty("password");
+  });
+
+  it("should let an admin change a user's role", async () => {
+    const response = await api
+      .patch(`/api/users/${userId}/role`)
+      .set("Authorization", "bearer " + adminToken)
+      .send({ role: "editor" })
+      .expect(200);
+    expect(response.body.role).toBe("editor");
+  });
+
+  it("should reject unknown roles", async () => {
+    await api
+      .patch(`/api/users/${userId}/role`)
+      .set("Authorization", "bearer " + adminToken)
+      .send({ role: "superuser" })
+      .expect(422);
+  });
+});
+
 afterAll(() => {
   mongoose.connection.close();
 });
\ No newline at end of file
@@ -0,0 +1,308 @@
+const http = require("http");
+const mongoose = require("mongoose");
+const supertest = require("supertest");
+const app = require("./app-test");
+const api = supertest(app);
+const TodoTask = require("../models/todoTaskModel");
+const Tour = require("../models/tourModel");
+const User = require("../models/userModel");
+const Tag = require("../models/tagModel");
+const Notification = require("../models/notificationModel");
+const Webhook = require("../models/webhookModel");
+const WebhookDelivery = require("../models/webhookDeliveryModel");
+const { MAX_FAILURES, signPayload, runWebhookDeliveries } = require("../utils/webhooks");
+
+const MINUTE = 60 * 1000;
+
+// the receiver below runs on 127.0.0.1
+process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = "true";
+
+let token = null;
+let receiver = null;
+// what the receiver got, and the status it answers with
+let received = [];
+let status = 200;
+
+const auth = () => ({ Authorization: "bearer " + token });
+
+// wait until check() returns something truthy; deliveries run in the background
+const waitFor = async (check) => {
+  for (let i = 0; i < 100; i++) {
+    const result = await check();
+    if (result) return result;
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw Error("timed out waiting");
+};
+
+const receiverUrl = () => `http://127.0.0.1:${receiver.address().port}/hook`;
+
+const addWebhook = (events) =>
+  api.post("/api/webhooks").set(auth()).send({ url: receiverUrl(), events }).expect(201);
+
+const addTask = () =>
+  api
+    .post("/api/todoTasks")
+    .set(auth())
+    .send({ title: "Hooked", description: "desc", dueDate: "2025-02-13" })
+    .expect(201);
+
+beforeAll(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = status;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+
+  await User.deleteMany({});
+  const result = await api.post("/api/users/signup").send({
+    name: "Hugo Hooks",
+    email: "hugo@example.com",
+    password: "R3g5T7#gh",
+  });
+  token = result.body.token;
+});
+
+beforeEach(async () => {
+  await TodoTask.deleteMany({});
+  await Tour.deleteMany({});
+  await Webhook.deleteMany({});
+  await WebhookDelivery.deleteMany({});
+  await Notification.deleteMany({});
+  await User.updateOne({ email: "hugo@example.com" }, { role: "user" });
+  received = [];
+  status = 200;
+});
+
+describe("Given a user registers a webhook", () => {
+  it("should POST signed payloads for the events it subscribed to", async () => {
+    const { body: webhook } = await addWebhook(["todoTask.created", "todoTask.deleted"]);
+    expect(webhook.secret).toMatch(/^whsec_/);
+
+    const { body: todoTask } = await addTask();
+    await api.patch(`/api/todoTasks/${todoTask._id}`).set(auth()).send({ priority: "high" });
+    await api.delete(`/api/todoTasks/${todoTask._id}`).set(auth()).expect(204);
+    await waitFor(() => received.length === 2);
+
+    const byEvent = (event) => received.find(({ headers }) => headers["x-webhook-event"] === event);
+    const created = byEvent("todoTask.created");
+    const deleted = byEvent("todoTask.deleted");
+    expect(created.headers["x-webhook-event"]).toBe("todoTask.created");
+    expect(created.headers["x-webhook-signature"]).toBe(
+      signPayload(webhook.secret, created.headers["x-webhook-timestamp"], created.body)
+    );
+    expect(JSON.parse(created.body)).toEqual(
+      expect.objectContaining({
+        event: "todoTask.created",
+        data: expect.objectContaining({ _id: todoTask._id, title: "Hooked" }),
+      })
+    );
+    expect(JSON.parse(deleted.body).data).toEqual({ _id: todoTask._id });
+
+    // the secret is not shown again
+    const listed = await api.get("/api/webhooks").set(auth()).expect(200);
+    expect(listed.body[0].secret).toBeUndefined();
+  });
+
+  it("should log deliveries and retry failed ones with backoff", async () => {
+    const { body: webhook } = await addWebhook(["todoTask.created"]);
+    status = 500;
+    await addTask();
+    const delivery = await waitFor(() =>
+      WebhookDelivery.findOne({ "attempts.0": { $exists: true } })
+    );
+    expect(delivery.status).toBe("pending");
+    expect(delivery.attempts[0]).toEqual(
+      expect.objectContaining({ ok: false, responseStatus: 500 })
+    );
+
+    // not due yet
+    expect(await runWebhookDeliveries(new Date())).toEqual({ attempted: 0 });
+
+    status = 204;
+    expect(await runWebhookDeliveries(new Date(Date.now() + 2 * MINUTE))).toEqual({
+      attempted: 1,
+    });
+    const response = await api
+      .get(`/api/webhooks/${webhook._id}/deliveries`)
+      .set(auth())
+      .expect(200);
+    expect(response.body.total).toBe(1);
+    expect(response.body.deliveries[0].status).toBe("succeeded");
+    expect(response.body.deliveries[0].attempts.map((attempt) => attempt.ok)).toEqual([
+      false,
+      true,
+    ]);
+    // both attempts carried the same delivery id
+    expect(received[0].headers["x-webhook-delivery"]).toBe(
+      received[1].headers["x-webhook-delivery"]
+    );
+    expect((await Webhook.findById(webhook._id)).failureCount).toBe(0);
+  });
+
+  it("should disable a webhook after repeated failures and notify its owner", async () => {
+    const { body: webhook } = await addWebhook(["todoTask.created"]);
+    await Webhook.updateOne({ _id: webhook._id }, { failureCount: MAX_FAILURES - 1 });
+    status = 500;
+    await addTask();
+
+    const disabled = await waitFor(async () => {
+      const found = await Webhook.findById(webhook._id);
+      return !found.active && found;
+    });
+    expect(disabled.disabledAt).not.toBeNull();
+    await waitFor(() => WebhookDelivery.exists({ status: "failed" }));
+    const notification = await Notification.findOne({ type: "webhook_disabled" });
+    expect(notification.message).toContain(receiverUrl());
+
+    // no more deliveries until it is turned back on
+    await addTask();
+    expect(await WebhookDelivery.countDocuments()).toBe(1);
+    const response = await api
+      .patch(`/api/webhooks/${webhook._id}`)
+      .set(auth())
+      .send({ active: true })
+      .expect(200);
+    expect(response.body).toEqual(expect.objectContaining({ active: true, failureCount: 0 }));
+  });
+
+  it("should send changes made through a tag to the tasks' webhooks", async () => {
+    await Tag.deleteMany({});
+    const { body: tag } = await api
+      .post("/api/tags")
+      .set(auth())
+      .send({ name: "work" })
+      .expect(201);
+    const { body: todoTask } = await api
+      .post("/api/todoTasks")
+      .set(auth())
+      .send({ title: "Tagged", description: "desc", dueDate: "2025-02-13", tags: ["work"] })
+      .expect(201);
+    await addWebhook(["todoTask.updated"]);
+
+    await api.delete(`/api/tags/${tag._id}`).set(auth()).expect(204);
+    await waitFor(() => received.length === 1);
+    expect(JSON.parse(received[0].body).data).toEqual(
+      expect.objectContaining({ _id: todoTask._id, tags: [] })
+    );
+  });
+
+  it("should rotate the secret", async () => {
+    const { body: webhook } = await addWebhook(["todoTask.created"]);
+    const response = await api
+      .post(`/api/webhooks/${webhook._id}/secret`)
+      .set(auth())
+      .expect(200);
+    expect(response.body.secret).not.toBe(webhook.secret);
+
+    await addTask();
+    await waitFor(() => received.length === 1);
+    const [{ headers, body }] = received;
+    expect(headers["x-webhook-signature"]).toBe(
+      signPayload(response.body.secret, headers["x-webhook-timestamp"], body)
+    );
+  });
+
+  it("should reject invalid webhooks and hide other users' ones", async () => {
+    await api
+      .post("/api/webhooks")
+      .set(auth())
+      .send({ url: "ftp://example.com", events: ["todoTask.created"] })
+      .expect(422);
+    await api
+      .post("/api/webhooks")
+      .set(auth())
+      .send({ url: receiverUrl(), events: ["todoTask.exploded"] })
+      .expect(422);
+    await api
+      .post("/api/webhooks")
+      .set(auth())
+      .send({ url: receiverUrl(), events: [] })
+      .expect(422);
+
+    const other = await Webhook.create({
+      user_id: new mongoose.Types.ObjectId(),
+      url: receiverUrl(),
+      events: ["todoTask.created"],
+      secret: Webhook.generateSecret(),
+    });
+    await api.get(`/api/webhooks/${other._id}`).set(auth()).expect(404);
+    await api.delete(`/api/webhooks/${other._id}`).set(auth()).expect(404);
+  });
+});
+
+describe("Given a webhook URL on a private address", () => {
+  beforeEach(() => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+  });
+
+  afterEach(() => {
+    process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = "true";
+  });
+
+  it("should refuse to register it", async () => {
+    for (const url of [receiverUrl(), "http://169.254.169.254/latest", "http://[::1]/hook"]) {
+      const response = await api
+        .post("/api/webhooks")
+        .set(auth())
+        .send({ url, events: ["todoTask.created"] })
+        .expect(422);
+      expect(response.body.error.fields[0].path).toBe("url");
+    }
+    expect(await Webhook.countDocuments()).toBe(0);
+  });
+
+  it("should not deliver to it", async () => {
+    // e.g. saved while it still pointed elsewhere
+    await Webhook.create({
+      user_id: (await User.findOne({ email: "hugo@example.com" }))._id,
+      url: receiverUrl(),
+      events: ["todoTask.created"],
+      secret: Webhook.generateSecret(),
+    });
+    await addTask();
+
+    const delivery = await waitFor(() =>
+      WebhookDelivery.findOne({ "attempts.0": { $exists: true } })
+    );
+    expect(delivery.attempts[0].ok).toBe(false);
+    expect(delivery.attempts[0].error).toMatch(/not a public address/);
+    expect(received).toEqual([]);
+  });
+});
+
+describe("Given webhooks for tour events", () => {
+  const tour = { name: "Hooked Tour", info: "Tour info", price: "100" };
+
+  it("should only let admins subscribe", async () => {
+    await api
+      .post("/api/webhooks")
+      .set(auth())
+      .send({ url: receiverUrl(), events: ["tour.created"] })
+      .expect(403);
+  });
+
+  it("should deliver tour events to admins", async () => {
+    await User.updateOne({ email: "hugo@example.com" }, { role: "admin" });
+    await addWebhook(["tour.created", "tour.updated"]);
+
+    const { body: created } = await api.post("/api/tours").set(auth()).send(tour).expect(201);
+    await api.patch(`/api/tours/${created._id}`).set(auth()).send({ price: "120" }).expect(200);
+    await waitFor(() => received.length === 2);
+
+    expect(received.map(({ headers }) => headers["x-webhook-event"]).sort()).toEqual([
+      "tour.created",
+      "tour.updated",
+    ]);
+  });
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => receiver.close(resolve));
+  mongoose.connection.close();
+});
@@ -0,0 +1,77 @@
+// CSV (RFC 4180) reading and writing: comma separated, fields with commas,
+// quotes or line breaks are quoted, and quotes inside them are doubled.
+const { ValidationError } = require("./errors");
+
+// Spreadsheets run cells starting with these as formulas, so exported text
+// is prefixed with a quote (and the prefix is dropped again on import)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const formatField = (value) => {
+  if (value === undefined || value === null) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) {
+    text = "'" + text;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// one CSV line, with the CRLF ending the RFC asks for
+const formatRow = (values) => values.map(formatField).join(",") + "\r\n";
+
+const unescapeFormula = (text) =>
+  text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+
+/**
+ * Parse CSV text into rows of strings. Throws a ValidationError for an
+ * unterminated quoted field. Blank lines are skipped.
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // byte order mark
+
+  const endField = () => {
+    row.push(unescapeFormula(field));
+    field = "";
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new ValidationError([], "CSV has an unterminated quoted field");
+  }
+  if (field !== "" || row.length > 0) endRow();
+  return rows;
+};
+
+module.exports = {
+  formatRow,
+  parseCsv,
+};
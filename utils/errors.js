@@ -0,0 +1,77 @@
+// Application errors. Throw one from a controller or middleware (Express 5
+// forwards rejected promises) and errorHandler responds with its status and
+// `{ error: { code, message, fields?, requestId } }`.
+
+class AppError extends Error {
+  constructor(message, status = 500, code = "INTERNAL_ERROR") {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message = "Bad request") {
+    super(message, 400, "BAD_REQUEST");
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = "Request is not authorized") {
+    super(message, 401, "UNAUTHORIZED");
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = "Forbidden") {
+    super(message, 403, "FORBIDDEN");
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = "Not found") {
+    super(message, 404, "NOT_FOUND");
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = "Conflict", fields) {
+    super(message, 409, "CONFLICT");
+    this.fields = fields;
+  }
+}
+
+// an If-Match precondition did not hold: the client's copy is stale
+class PreconditionFailedError extends AppError {
+  constructor(message = "Resource has changed since it was fetched") {
+    super(message, 412, "PRECONDITION_FAILED");
+  }
+}
+
+// one entry per offending field: [{ path, message }]
+class ValidationError extends AppError {
+  constructor(fields, message = "Request validation failed") {
+    super(message, 422, "VALIDATION_FAILED");
+    this.fields = fields;
+  }
+}
+
+// the server cannot do what was asked in its current setup
+class NotImplementedError extends AppError {
+  constructor(message = "Not implemented") {
+    super(message, 501, "NOT_IMPLEMENTED");
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  ValidationError,
+  NotImplementedError,
+};
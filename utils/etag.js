@@ -0,0 +1,28 @@
+// ETags for versioned documents. The Mongoose version key is bumped by every
+// write (see the update hooks in models/), so it identifies a representation.
+const { PreconditionFailedError } = require("./errors");
+
+const etagOf = (doc) => `"${doc.__v}"`;
+
+const setETag = (res, doc) => {
+  res.set("ETag", etagOf(doc));
+};
+
+// If-Match lists the ETags the client's write is based on; "*" matches any
+// existing document. Without the header the write is unconditional.
+const checkIfMatch = (req, doc) => {
+  const header = req.get("If-Match");
+  if (header === undefined) return false;
+
+  const tags = header.split(",").map((tag) => tag.trim());
+  if (!tags.includes("*") && !tags.includes(etagOf(doc))) {
+    throw new PreconditionFailedError();
+  }
+  return true;
+};
+
+module.exports = {
+  etagOf,
+  setETag,
+  checkIfMatch,
+};
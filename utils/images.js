@@ -0,0 +1,39 @@
+const sharp = require("sharp");
+const { ValidationError } = require("./errors");
+
+const ACCEPTED_FORMATS = ["jpeg", "png", "webp"];
+
+const FULL_SIZE = { width: 1600, height: 1600, fit: "inside", withoutEnlargement: true };
+const THUMBNAIL_SIZE = { width: 400, height: 300, fit: "cover" };
+
+/**
+ * Re-encode an uploaded tour image as WebP in full size and as a thumbnail.
+ * The declared MIME type is checked by the upload middleware; this checks the
+ * actual content, so a renamed file that is not an image is rejected too.
+ *
+ * Returns { image, thumbnail } buffers.
+ */
+const processTourImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    metadata = {};
+  }
+  if (!ACCEPTED_FORMATS.includes(metadata.format)) {
+    throw new ValidationError([
+      { path: "image", message: "image must be a JPEG, PNG or WebP file" },
+    ]);
+  }
+
+  // rotate() applies the EXIF orientation before the metadata is dropped
+  const [image, thumbnail] = await Promise.all([
+    sharp(buffer).rotate().resize(FULL_SIZE).webp({ quality: 80 }).toBuffer(),
+    sharp(buffer).rotate().resize(THUMBNAIL_SIZE).webp({ quality: 70 }).toBuffer(),
+  ]);
+  return { image, thumbnail };
+};
+
+module.exports = {
+  processTourImage,
+};
@@ -0,0 +1,84 @@
+// Minimal structured logger: one JSON object per line on stdout.
+//
+//   logger.info("MongoDB connected", { host });
+//
+// LOG_LEVEL picks the lowest level written (debug, info, warn, error,
+// silent); by default debug in development, info in production and error
+// under test. LOG_REDACT adds comma-separated keys to the default list of
+// fields whose values are replaced before writing.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+const DEFAULT_LEVELS = { production: "info", test: "error" };
+
+const DEFAULT_REDACT = [
+  "password",
+  "currentPassword",
+  "newPassword",
+  "token",
+  "refreshToken",
+  "authorization",
+  "cookie",
+];
+
+const REDACTED = "[REDACTED]";
+
+const levelName = () => {
+  const configured = process.env.LOG_LEVEL;
+  if (configured && LEVELS[configured] !== undefined) return configured;
+  return DEFAULT_LEVELS[process.env.NODE_ENV] || "debug";
+};
+
+const redactKeys = () =>
+  new Set(
+    [...DEFAULT_REDACT, ...(process.env.LOG_REDACT || "").split(",")]
+      .map((key) => key.trim().toLowerCase())
+      .filter(Boolean)
+  );
+
+// copy a value with sensitive keys masked, at any depth
+const redact = (value, keys = redactKeys(), seen = new WeakSet()) => {
+  if (value === null || typeof value !== "object") return value;
+  if (value instanceof Error) {
+    return { name: value.name, message: value.message, stack: value.stack };
+  }
+  // Dates, ObjectIds and Mongoose documents know how to serialize themselves
+  if (typeof value.toJSON === "function") {
+    return redact(value.toJSON(), keys, seen);
+  }
+  if (seen.has(value)) return "[Circular]";
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, keys, seen));
+  }
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = keys.has(key.toLowerCase()) ? REDACTED : redact(item, keys, seen);
+  }
+  return copy;
+};
+
+const write = (level, message, fields = {}) => {
+  if (LEVELS[level] < LEVELS[levelName()]) return;
+
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: message,
+    ...redact(fields),
+  };
+  process.stdout.write(JSON.stringify(entry) + "\n");
+};
+
+const logger = {
+  debug: (message, fields) => write("debug", message, fields),
+  info: (message, fields) => write("info", message, fields),
+  warn: (message, fields) => write("warn", message, fields),
+  error: (message, fields) => write("error", message, fields),
+};
+
+module.exports = {
+  logger,
+  redact,
+};
@@ -0,0 +1,54 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// A transport is any object with `async send({ to, subject, text })`.
+// Pick one with MAIL_TRANSPORT, or install another with setTransport
+// (e.g. an SMTP client in production or an in-memory outbox in tests).
+
+// prints messages to stdout; never used in production, where it would put
+// password reset links into the logs
+const consoleTransport = {
+  send: async (message) => {
+    console.log(`--- mail to ${message.to}: ${message.subject}\n${message.text}\n---`);
+  },
+};
+
+// writes each message as a JSON file into a directory
+const createFileTransport = (dir) => ({
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${message.to}.json`);
+    await fs.writeFile(file, JSON.stringify(message, null, 2));
+  },
+});
+
+let transport = null;
+
+// the transport to use; throws in production when none is configured
+const getTransport = () => {
+  if (!transport) {
+    if (process.env.MAIL_TRANSPORT === "file") {
+      transport = createFileTransport(process.env.MAIL_DIR || "tmp/mail");
+    } else if (process.env.NODE_ENV === "production") {
+      throw Error("No mail transport configured: set MAIL_TRANSPORT or call setTransport");
+    } else {
+      transport = consoleTransport;
+    }
+  }
+  return transport;
+};
+
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+const sendMail = (message) =>
+  getTransport().send({ from: process.env.MAIL_FROM || "no-reply@localhost", ...message });
+
+module.exports = {
+  getTransport,
+  sendMail,
+  setTransport,
+  consoleTransport,
+  createFileTransport,
+};
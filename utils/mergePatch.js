@@ -0,0 +1,33 @@
+// JSON Merge Patch (RFC 7396): objects in the patch are merged into the
+// target recursively, null removes a member and anything else replaces it.
+const { ValidationError } = require("./errors");
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+const applyMergePatch = (target, patch) => {
+  if (!isObject(patch)) {
+    return patch;
+  }
+  const result = isObject(target) ? { ...target } : {};
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], value);
+    }
+  }
+  return result;
+};
+
+// a patch for a whole resource has to be an object
+const assertPatchObject = (patch) => {
+  if (!isObject(patch)) {
+    throw new ValidationError([], "A merge patch must be a JSON object");
+  }
+};
+
+module.exports = {
+  applyMergePatch,
+  assertPatchObject,
+};
@@ -0,0 +1,60 @@
+// Delivery channels for notifications. A channel is any object with
+//   async send(notification, user)
+// that throws when delivery fails. Users pick channels in their reminder
+// preferences; setChannel replaces one (e.g. with a fake in tests).
+const { sendMail } = require("./mailer");
+const { postJson } = require("./outbound");
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+// the Notification document is the in-app message, so there is nothing to send
+const inAppChannel = {
+  send: async () => {},
+};
+
+const emailChannel = {
+  send: async (notification, user) => {
+    await sendMail({
+      to: user.email,
+      subject: notification.message,
+      text: `Hi ${user.name},\n\n${notification.message}.\n`,
+    });
+  },
+};
+
+// POSTs the notification as JSON to the user's webhook URL
+const webhookChannel = {
+  send: async (notification, user) => {
+    // refuses private and local addresses, like webhooks (see utils/outbound.js)
+    const response = await postJson(user.reminders.webhookUrl, {
+      body: JSON.stringify({ notification }),
+      timeoutMs: WEBHOOK_TIMEOUT_MS,
+    });
+    if (!response.ok) {
+      throw Error(`Webhook responded with ${response.status}`);
+    }
+  },
+};
+
+const channels = {
+  in_app: inAppChannel,
+  email: emailChannel,
+  webhook: webhookChannel,
+};
+
+const CHANNELS = Object.keys(channels);
+
+const getChannel = (name) => channels[name];
+
+const setChannel = (name, channel) => {
+  if (!CHANNELS.includes(name)) {
+    throw Error(`Unknown notification channel '${name}'`);
+  }
+  channels[name] = channel;
+};
+
+module.exports = {
+  CHANNELS,
+  getChannel,
+  setChannel,
+};
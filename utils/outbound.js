@@ -0,0 +1,136 @@
+// Requests to URLs that users give us: webhooks (utils/webhooks.js) and the
+// webhook notification channel (utils/notificationChannels.js).
+//
+// Such a URL must not reach into the server's own network, e.g. a database
+// on localhost or the cloud metadata service at 169.254.169.254. A host is
+// refused when it resolves to a loopback, private, link-local or otherwise
+// non-public address. The address is checked when the URL is saved and again
+// when the connection is made, so a host name that later resolves somewhere
+// else is still caught. Set WEBHOOK_ALLOW_PRIVATE_HOSTS=true to allow such
+// hosts, e.g. for receivers on the same machine during development.
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+
+const blocked = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8], // "this network"
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, including cloud metadata services
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved and broadcast
+]) {
+  blocked.addSubnet(address, prefix, "ipv4");
+}
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the rules above
+for (const [address, prefix] of [
+  ["::", 127], // unspecified and loopback
+  ["64:ff9b::", 96], // NAT64
+  ["fc00::", 7], // unique local
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) {
+  blocked.addSubnet(address, prefix, "ipv6");
+}
+
+const allowPrivateHosts = () => process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === "true";
+
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  return family === 0 || blocked.check(address, family === 6 ? "ipv6" : "ipv4");
+};
+
+const blockedHostError = (hostname) =>
+  Error(`Refusing to connect to ${hostname}: it is not a public address`);
+
+// a dns.lookup that fails for hosts resolving to a blocked address
+const checkedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!allowPrivateHosts() && addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(blockedHostError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// the host of a URL, without the brackets of an IPv6 address
+const hostOf = (url) => new URL(url).hostname.replace(/^\[(.*)\]$/, "$1");
+
+/**
+ * Check where a URL a user wants to save leads to. Returns an error message,
+ * or null when the host is allowed. A host that does not resolve (yet) is
+ * accepted, since it is checked again on every request.
+ */
+const checkDestination = async (url) => {
+  if (allowPrivateHosts()) return null;
+  const hostname = hostOf(url);
+  let addresses = [hostname];
+  if (!net.isIP(hostname)) {
+    try {
+      addresses = (await dns.promises.lookup(hostname, { all: true })).map(
+        ({ address }) => address
+      );
+    } catch {
+      return null;
+    }
+  }
+  return addresses.some(isBlockedAddress) ? "must not point to a private or local address" : null;
+};
+
+/**
+ * POST `body` (a JSON string) to `url`. Redirects are not followed. Resolves
+ * with { ok, status } once the response arrives, whatever its status; rejects
+ * when the host is not allowed, the connection fails or there is no response
+ * within timeoutMs.
+ */
+const postJson = (url, { headers = {}, body, timeoutMs }) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const hostname = hostOf(url);
+    // an IP address is connected to without a lookup
+    if (net.isIP(hostname) && !allowPrivateHosts() && isBlockedAddress(hostname)) {
+      reject(blockedHostError(hostname));
+      return;
+    }
+
+    const client = target.protocol === "https:" ? https : http;
+    const request = client.request(target, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "Content-Length": Buffer.byteLength(body),
+        ...headers,
+      },
+      lookup: checkedLookup,
+    });
+    const timer = setTimeout(
+      () => request.destroy(Error(`No response within ${timeoutMs} ms`)),
+      timeoutMs
+    );
+    request.on("response", (response) => {
+      clearTimeout(timer);
+      // the body is not needed
+      response.resume();
+      const status = response.statusCode;
+      resolve({ ok: status >= 200 && status < 300, status });
+    });
+    request.on("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body);
+  });
+
+module.exports = {
+  checkDestination,
+  postJson,
+};
@@ -0,0 +1,31 @@
+// Removing a Project, for DELETE /api/projects/:id and for the deletion of
+// its owner's account.
+const Project = require("../models/projectModel");
+const TodoTask = require("../models/todoTaskModel");
+const { publishTaskChange } = require("./taskChanges");
+
+/**
+ * Delete `project`. Its TodoTasks move to the trash of the users who created
+ * them, as personal tasks, so they can still be restored until the purge.
+ */
+const removeProject = async (project) => {
+  const todoTasks = await TodoTask.find({ project_id: project._id });
+  await TodoTask.updateMany(
+    { project_id: project._id },
+    { deletedAt: new Date(), project_id: null }
+  );
+  // tasks that were already in the trash stay restorable too
+  await TodoTask.updateMany(
+    { project_id: project._id, deletedAt: { $ne: null } },
+    { project_id: null }
+  );
+  // published as the tasks were, while the project still names its members
+  for (const todoTask of todoTasks) {
+    await publishTaskChange("deleted", todoTask);
+  }
+  await Project.deleteOne({ _id: project._id });
+};
+
+module.exports = {
+  removeProject,
+};
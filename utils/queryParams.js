@@ -0,0 +1,95 @@
+// Helpers for validating list-endpoint query strings. Each parser throws a
+// BadRequestError (400) on bad input.
+const { BadRequestError } = require("./errors");
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// read a single-valued query parameter, rejecting ?a=1&a=2
+const single = (query, name) => {
+  const value = query[name];
+  if (Array.isArray(value) || (value !== undefined && typeof value !== "string")) {
+    throw new BadRequestError(`Query parameter '${name}' must be given once`);
+  }
+  return value;
+};
+
+const parseBoolean = (value, name) => {
+  if (value === "true") return true;
+  if (value === "false") return false;
+  throw new BadRequestError(`Query parameter '${name}' must be 'true' or 'false'`);
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (value === "" || Number.isNaN(date.getTime())) {
+    throw new BadRequestError(`Query parameter '${name}' must be a valid date`);
+  }
+  return date;
+};
+
+const parseNumber = (value, name, { min = -Infinity } = {}) => {
+  const number = Number(value);
+  if (value.trim() === "" || !Number.isFinite(number) || number < min) {
+    throw new BadRequestError(
+      `Query parameter '${name}' must be a number of at least ${min}`
+    );
+  }
+  return number;
+};
+
+const parseInteger = (value, name, { min, max }) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new BadRequestError(
+      `Query parameter '${name}' must be an integer between ${min} and ${max}`
+    );
+  }
+  return number;
+};
+
+// "work,home" -> ["work", "home"], optionally restricted to allowed values
+const parseList = (value, name, allowed) => {
+  const items = [...new Set(value.split(",").map((item) => item.trim()).filter(Boolean))];
+  if (items.length === 0) {
+    throw new BadRequestError(`Query parameter '${name}' must not be empty`);
+  }
+  const unknown = allowed && items.find((item) => !allowed.includes(item));
+  if (unknown) {
+    throw new BadRequestError(
+      `Unknown ${name} '${unknown}'. Allowed: ${allowed.join(", ")}`
+    );
+  }
+  return items;
+};
+
+// "-dueDate,title" -> [["dueDate", -1], ["title", 1]]
+const parseSortFields = (spec, allowed) => {
+  const fields = [];
+
+  for (const part of spec.split(",")) {
+    const direction = part.startsWith("-") ? -1 : 1;
+    const field = part.replace(/^[-+]/, "");
+    if (!allowed.includes(field)) {
+      throw new BadRequestError(
+        `Cannot sort by '${field}'. Allowed: ${allowed.join(", ")}`
+      );
+    }
+    if (fields.some(([existing]) => existing === field)) {
+      throw new BadRequestError(`Sort field '${field}' given more than once`);
+    }
+    fields.push([field, direction]);
+  }
+
+  return fields;
+};
+
+module.exports = {
+  escapeRegex,
+  single,
+  parseBoolean,
+  parseDate,
+  parseNumber,
+  parseInteger,
+  parseList,
+  parseSortFields,
+};
@@ -0,0 +1,213 @@
+// Recurrence rules for TodoTasks.
+//
+// A rule is stored as { freq, interval, byWeekday, byMonthDay, until, count }
+// and can be given either in that shape or as a subset of an iCalendar RRULE:
+//
+//   "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;UNTIL=20261231;COUNT=10"
+//
+// Supported: FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL, BYDAY (weekly only),
+// BYMONTHDAY (monthly only), UNTIL and COUNT. Dates are computed in UTC and
+// keep the time of day of the task's dueDate.
+const { ValidationError } = require("./errors");
+
+const FREQUENCIES = ["daily", "weekly", "monthly"];
+const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const invalid = (path, message) =>
+  new ValidationError([{ path, message }], "Invalid recurrence rule");
+
+const parseUntil = (value) => {
+  // RRULE dates: 20261231 or 20261231T235959Z
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  if (match) {
+    const [, y, m, d, hh = "23", mm = "59", ss = "59"] = match;
+    return new Date(Date.UTC(y, m - 1, d, hh, mm, ss));
+  }
+  return new Date(value);
+};
+
+const parseRRule = (text) => {
+  const rule = {};
+  for (const part of text.replace(/^RRULE:/i, "").split(";").filter(Boolean)) {
+    const [key, value = ""] = part.split("=");
+    switch (key.toUpperCase()) {
+      case "FREQ":
+        rule.freq = value.toLowerCase();
+        break;
+      case "INTERVAL":
+        rule.interval = Number(value);
+        break;
+      case "BYDAY":
+        rule.byWeekday = value.split(",");
+        break;
+      case "BYMONTHDAY":
+        rule.byMonthDay = Number(value);
+        break;
+      case "UNTIL":
+        rule.until = parseUntil(value);
+        break;
+      case "COUNT":
+        rule.count = Number(value);
+        break;
+      default:
+        throw invalid("recurrence", `RRULE part '${key}' is not supported`);
+    }
+  }
+  return rule;
+};
+
+const isWholeNumber = (value, min, max) =>
+  Number.isInteger(value) && value >= min && value <= max;
+
+/**
+ * Validate a recurrence given as an RRULE string or an object and return it
+ * in stored form. null clears the recurrence. Throws a ValidationError.
+ */
+const parseRecurrence = (input) => {
+  if (input === null) return null;
+
+  let rule;
+  if (typeof input === "string") {
+    rule = parseRRule(input);
+  } else if (typeof input === "object" && !Array.isArray(input)) {
+    rule = { ...input };
+    if (rule.until !== undefined) rule.until = new Date(rule.until);
+  } else {
+    throw invalid("recurrence", "recurrence must be an RRULE string or an object");
+  }
+
+  const unknown = Object.keys(rule).find(
+    (key) => !["freq", "interval", "byWeekday", "byMonthDay", "until", "count"].includes(key)
+  );
+  if (unknown) {
+    throw invalid(`recurrence.${unknown}`, `recurrence.${unknown} is not supported`);
+  }
+  if (!FREQUENCIES.includes(rule.freq)) {
+    throw invalid("recurrence.freq", `recurrence.freq must be one of: ${FREQUENCIES.join(", ")}`);
+  }
+
+  const normalized = { freq: rule.freq, interval: rule.interval ?? 1 };
+  if (!isWholeNumber(normalized.interval, 1, 365)) {
+    throw invalid("recurrence.interval", "recurrence.interval must be an integer from 1 to 365");
+  }
+
+  if (rule.byWeekday !== undefined) {
+    const days = Array.isArray(rule.byWeekday) ? rule.byWeekday : [rule.byWeekday];
+    if (
+      rule.freq !== "weekly" ||
+      days.length === 0 ||
+      !days.every((day) => WEEKDAYS.includes(String(day).toUpperCase()))
+    ) {
+      throw invalid(
+        "recurrence.byWeekday",
+        `recurrence.byWeekday needs a weekly rule and days from: ${WEEKDAYS.join(", ")}`
+      );
+    }
+    normalized.byWeekday = [...new Set(days.map((day) => String(day).toUpperCase()))];
+  }
+
+  if (rule.byMonthDay !== undefined) {
+    if (rule.freq !== "monthly" || !isWholeNumber(rule.byMonthDay, 1, 31)) {
+      throw invalid(
+        "recurrence.byMonthDay",
+        "recurrence.byMonthDay needs a monthly rule and a day from 1 to 31"
+      );
+    }
+    normalized.byMonthDay = rule.byMonthDay;
+  }
+
+  if (rule.until !== undefined) {
+    if (Number.isNaN(rule.until.getTime())) {
+      throw invalid("recurrence.until", "recurrence.until must be a valid date");
+    }
+    normalized.until = rule.until;
+  }
+
+  if (rule.count !== undefined) {
+    if (!isWholeNumber(rule.count, 1, 1000)) {
+      throw invalid("recurrence.count", "recurrence.count must be an integer from 1 to 1000");
+    }
+    normalized.count = rule.count;
+  }
+
+  return normalized;
+};
+
+const formatUntil = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+/**
+ * A stored rule as RRULE text, e.g. "FREQ=WEEKLY;BYDAY=MO,TH;COUNT=3", as
+ * accepted back by parseRecurrence.
+ */
+const formatRRule = (rule) => {
+  const parts = [`FREQ=${rule.freq.toUpperCase()}`];
+  if (rule.interval && rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byWeekday && rule.byWeekday.length > 0) {
+    parts.push(`BYDAY=${rule.byWeekday.join(",")}`);
+  }
+  if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.until) parts.push(`UNTIL=${formatUntil(new Date(rule.until))}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(";");
+};
+
+// Monday-based week number, used to honour INTERVAL for BYDAY rules
+const weekNumber = (date) => Math.floor((date.getTime() / DAY + 3) / 7);
+
+const addMonths = (date, months, dayOfMonth) => {
+  const next = new Date(date);
+  next.setUTCDate(1);
+  next.setUTCMonth(next.getUTCMonth() + months);
+  const daysInMonth = new Date(
+    Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  next.setUTCDate(Math.min(dayOfMonth, daysInMonth));
+  return next;
+};
+
+/**
+ * The dueDate of the occurrence after the one due at `dueDate`, or null when
+ * the series ends there. `occurrence` is the 1-based index of the current one.
+ */
+const nextOccurrence = (rule, dueDate, occurrence = 1) => {
+  if (rule.count !== undefined && rule.count !== null && occurrence >= rule.count) {
+    return null;
+  }
+
+  const interval = rule.interval || 1;
+  let next;
+  if (rule.freq === "daily") {
+    next = new Date(dueDate.getTime() + interval * DAY);
+  } else if (rule.freq === "weekly" && rule.byWeekday && rule.byWeekday.length > 0) {
+    const days = rule.byWeekday.map((day) => WEEKDAYS.indexOf(day));
+    const startWeek = weekNumber(dueDate);
+    for (let offset = 1; offset <= 7 * (interval + 1); offset++) {
+      const candidate = new Date(dueDate.getTime() + offset * DAY);
+      if (
+        days.includes(candidate.getUTCDay()) &&
+        (weekNumber(candidate) - startWeek) % interval === 0
+      ) {
+        next = candidate;
+        break;
+      }
+    }
+  } else if (rule.freq === "weekly") {
+    next = new Date(dueDate.getTime() + 7 * interval * DAY);
+  } else {
+    next = addMonths(dueDate, interval, rule.byMonthDay || dueDate.getUTCDate());
+  }
+
+  if (rule.until && next > rule.until) {
+    return null;
+  }
+  return next;
+};
+
+module.exports = {
+  parseRecurrence,
+  formatRRule,
+  nextOccurrence,
+  WEEKDAYS,
+};
@@ -0,0 +1,142 @@
+// Due-date reminders for TodoTasks.
+//
+// Every REMINDER_INTERVAL_MINUTES (default 5) the job app.js starts looks for
+// open tasks that are due within their owner's lead time, or that became
+// overdue within the last day, and creates one Notification per task, type
+// and due date. Each new notification is then sent on the owner's channels.
+// Owners set this up in their reminder preferences (PATCH /api/users/me/reminders).
+const TodoTask = require("../models/todoTaskModel");
+const User = require("../models/userModel");
+const Notification = require("../models/notificationModel");
+const { getChannel } = require("./notificationChannels");
+const { schedule } = require("./scheduler");
+const { logger } = require("./logger");
+
+const MINUTE = 60 * 1000;
+// the longest lead time a user can pick (see the User model)
+const MAX_LEAD_MINUTES = 7 * 24 * 60;
+// tasks that went overdue longer ago than this are not reminded about, so
+// the first run does not flood users with every old task
+const OVERDUE_LOOKBACK = 24 * 60 * MINUTE;
+const BATCH_SIZE = 100;
+
+const messageFor = (type, todoTask) =>
+  type === "overdue"
+    ? `"${todoTask.title}" is overdue`
+    : `"${todoTask.title}" is due ${todoTask.dueDate.toISOString()}`;
+
+// send a notification on every channel the user picked and record the outcome
+const deliver = async (notification, user) => {
+  const deliveries = [];
+  for (const channel of user.reminders.channels) {
+    try {
+      await getChannel(channel).send(notification, user);
+      deliveries.push({ channel, ok: true });
+    } catch (error) {
+      logger.warn("notification delivery failed", {
+        notificationId: notification._id,
+        channel,
+        error,
+      });
+      deliveries.push({ channel, ok: false, error: error.message });
+    }
+  }
+  await Notification.updateOne({ _id: notification._id }, { deliveries });
+};
+
+// the reminder `todoTask` is due for at `now`, or null
+const reminderType = (todoTask, user, now) => {
+  if (!user || !user.reminders.enabled) return null;
+  if (todoTask.dueDate <= now) {
+    return user.reminders.overdue ? "overdue" : null;
+  }
+  return todoTask.dueDate - now <= user.reminders.leadMinutes * MINUTE ? "due_soon" : null;
+};
+
+const keyOf = ({ todoTask_id, type, dueDate }) => `${todoTask_id}:${type}:${dueDate.getTime()}`;
+
+// create and deliver the reminders of one batch of tasks; returns how many
+// notifications were created
+const remindBatch = async (todoTasks, now) => {
+  const owners = await User.find({
+    _id: { $in: [...new Set(todoTasks.map((todoTask) => String(todoTask.user_id)))] },
+  });
+  const ownerById = new Map(owners.map((user) => [String(user._id), user]));
+
+  const due = [];
+  for (const todoTask of todoTasks) {
+    const user = ownerById.get(String(todoTask.user_id));
+    const type = reminderType(todoTask, user, now);
+    if (type) due.push({ todoTask, user, type });
+  }
+  if (due.length === 0) return 0;
+
+  // most tasks were already reminded about by an earlier run
+  const existing = await Notification.find(
+    { todoTask_id: { $in: due.map(({ todoTask }) => todoTask._id) } },
+    "todoTask_id type dueDate"
+  );
+  const reminded = new Set(existing.map(keyOf));
+
+  let created = 0;
+  for (const { todoTask, user, type } of due) {
+    const key = { todoTask_id: todoTask._id, type, dueDate: todoTask.dueDate };
+    if (reminded.has(keyOf(key))) continue;
+
+    // the unique index makes the upsert claim the reminder exactly once, even
+    // when another run got there in the meantime
+    const { upsertedId } = await Notification.updateOne(
+      key,
+      { $setOnInsert: { ...key, user_id: user._id, message: messageFor(type, todoTask) } },
+      { upsert: true }
+    ).catch((error) => {
+      if (error.code === 11000) return {};
+      throw error;
+    });
+    if (!upsertedId) continue;
+
+    created += 1;
+    await deliver(await Notification.findById(upsertedId), user);
+  }
+  return created;
+};
+
+/**
+ * Create and deliver the reminders that are due at `now`. The tasks are read
+ * BATCH_SIZE at a time. Returns how many notifications were created.
+ */
+const runReminders = async (now = new Date()) => {
+  const cursor = TodoTask.find({
+    completed: false,
+    dueDate: {
+      $gt: new Date(now.getTime() - OVERDUE_LOOKBACK),
+      $lte: new Date(now.getTime() + MAX_LEAD_MINUTES * MINUTE),
+    },
+  })
+    .select("title dueDate user_id")
+    .cursor({ batchSize: BATCH_SIZE });
+
+  let created = 0;
+  let batch = [];
+  for await (const todoTask of cursor) {
+    batch.push(todoTask);
+    if (batch.length === BATCH_SIZE) {
+      created += await remindBatch(batch, now);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) {
+    created += await remindBatch(batch, now);
+  }
+  return { created };
+};
+
+const startReminders = () =>
+  schedule("Reminders", Number(process.env.REMINDER_INTERVAL_MINUTES || 5), () =>
+    runReminders()
+  );
+
+module.exports = {
+  runReminders,
+  startReminders,
+};
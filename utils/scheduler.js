@@ -0,0 +1,30 @@
+// Background jobs that app.js runs on an interval. A job is an async
+// function; what it resolves to is logged, and a failed run is logged and
+// retried on the next tick. A run is skipped while the previous one is busy.
+const { logger } = require("./logger");
+
+/**
+ * Run `job` now and then every `minutes`. Returns the interval timer, which
+ * does not keep the process alive.
+ */
+const schedule = (name, minutes, job) => {
+  let running = false;
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      logger.info(`${name} done`, await job());
+    } catch (error) {
+      logger.error(`${name} failed`, { error });
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  return setInterval(run, minutes * 60 * 1000).unref();
+};
+
+module.exports = {
+  schedule,
+};
@@ -0,0 +1,45 @@
+// Mongoose plugin: soft deletion. A deleted document gets a deletedAt time
+// instead of being removed, and queries leave it out unless their filter asks
+// about deletedAt or they pass the withDeleted option:
+//
+//   Model.updateMany(filter, update, { withDeleted: true });
+//
+// deleteOne and deleteMany still remove documents for good; they are used by
+// the trash purge (utils/trash.js) and by cascades such as deleting a user.
+const FILTERED_QUERIES = [
+  "find",
+  "findOne",
+  "countDocuments",
+  "distinct",
+  "findOneAndUpdate",
+  "updateOne",
+  "updateMany",
+];
+
+// read and drop the option, so it is never passed on to MongoDB
+const takeWithDeleted = (options) => {
+  const withDeleted = Boolean(options.withDeleted);
+  delete options.withDeleted;
+  return withDeleted;
+};
+
+const softDelete = (schema) => {
+  schema.add({ deletedAt: { type: Date, default: null } });
+  // backs the trash listings and the purge of old deletions
+  schema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: "date" } } });
+
+  schema.pre(FILTERED_QUERIES, function () {
+    if (takeWithDeleted(this.options) || this.getFilter().deletedAt !== undefined) {
+      return;
+    }
+    this.where({ deletedAt: null });
+  });
+
+  schema.pre("aggregate", function () {
+    if (!takeWithDeleted(this.options)) {
+      this.pipeline().unshift({ $match: { deletedAt: null } });
+    }
+  });
+};
+
+module.exports = softDelete;
@@ -0,0 +1,70 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { logger } = require("./logger");
+
+// A storage adapter is any object with
+//   async save(key, buffer, contentType) -> public URL of the stored file
+//   async remove(key)
+// Keys are relative paths such as "tours/<id>/<name>.webp". The local disk
+// adapter is used unless another one is installed with setStorage (e.g. an
+// object store in production or a temporary directory in tests).
+
+const uploadDir = () => process.env.UPLOAD_DIR || "uploads";
+
+// writes files below a directory that app.js serves at baseUrl
+const createDiskStorage = (dir, baseUrl = "/uploads") => {
+  const resolve = (key) => {
+    const file = path.resolve(dir, key);
+    if (!file.startsWith(path.resolve(dir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    save: async (key, buffer) => {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return `${baseUrl}/${key}`;
+    },
+    remove: async (key) => {
+      // removing a file that is already gone is not an error
+      await fs.rm(resolve(key), { force: true });
+    },
+  };
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    storage = createDiskStorage(uploadDir(), process.env.UPLOAD_BASE_URL || "/uploads");
+  }
+  return storage;
+};
+
+const setStorage = (newStorage) => {
+  storage = newStorage;
+};
+
+// delete stored files; a failure only leaves an orphan file behind, so it is
+// logged instead of thrown
+const removeStoredFiles = async (keys = []) => {
+  const storage = getStorage();
+  await Promise.all(
+    keys.map((key) =>
+      storage.remove(key).catch((error) => {
+        logger.warn("could not remove stored file", { key, error });
+      })
+    )
+  );
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+  removeStoredFiles,
+  createDiskStorage,
+  uploadDir,
+};
@@ -0,0 +1,34 @@
+// Tell the task streams (see utils/taskEvents.js) and webhooks (see
+// utils/webhooks.js) about a stored change to TodoTasks. Every controller
+// that creates, changes or deletes tasks goes through here.
+const TodoTask = require("../models/todoTaskModel");
+const { publishTaskEvent } = require("./taskEvents");
+const { queueTaskWebhooks } = require("./webhooks");
+
+// a TodoTask with its checklist progress
+const withProgress = (todoTask) => ({ ...todoTask.toJSON(), progress: todoTask.progress });
+
+/**
+ * Publish that `todoTask` was "created", "updated" or "deleted". For a
+ * deletion, pass the task as it was before, so the members of its project
+ * are told too.
+ */
+const publishTaskChange = async (type, todoTask) => {
+  const data = withProgress(todoTask);
+  await publishTaskEvent(type, data);
+  await queueTaskWebhooks(type, data);
+};
+
+// publish a change of several tasks, deleted ones included
+const publishTaskChanges = async (type, ids) => {
+  const todoTasks = await TodoTask.find({ _id: { $in: ids } }, null, { withDeleted: true });
+  for (const todoTask of todoTasks) {
+    await publishTaskChange(type, todoTask);
+  }
+};
+
+module.exports = {
+  withProgress,
+  publishTaskChange,
+  publishTaskChanges,
+};
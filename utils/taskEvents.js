@@ -0,0 +1,128 @@
+// Live TodoTask changes for GET /api/todoTasks/stream (Server-Sent Events).
+//
+// An event is published (through utils/taskChanges.js) whenever a task is
+// created, changed or deleted. The event goes to everyone who can see the task: its
+// creator and, for a task in a project, the project's owner and members.
+// Each user's last REPLAY_SIZE events are kept for REPLAY_MS, so a client
+// that reconnects with Last-Event-ID gets what it missed. Events only live in
+// this process: with several server processes, a stream sees the changes
+// made through its own process.
+const { EventEmitter } = require("events");
+const Project = require("../models/projectModel");
+const { logger } = require("./logger");
+
+const REPLAY_SIZE = 100;
+const REPLAY_MS = 5 * 60 * 1000;
+
+// ids are "<boot>-<sequence>", so ids from before a restart are recognized
+const BOOT = Date.now().toString(36);
+let sequence = 0;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// user id -> { events, dropped }, where dropped is the sequence number of the
+// newest event no longer kept
+const buffers = new Map();
+let lastSweep = Date.now();
+
+const bufferFor = (userId) => {
+  if (!buffers.has(userId)) {
+    buffers.set(userId, { events: [], dropped: 0 });
+  }
+  return buffers.get(userId);
+};
+
+const trim = (buffer, now) => {
+  while (
+    buffer.events.length > REPLAY_SIZE ||
+    (buffer.events.length > 0 && now - buffer.events[0].at > REPLAY_MS)
+  ) {
+    buffer.dropped = buffer.events.shift().sequence;
+  }
+};
+
+// forget buffers that only hold expired events
+const sweep = (now) => {
+  if (now - lastSweep < REPLAY_MS) return;
+  lastSweep = now;
+  for (const [userId, buffer] of buffers) {
+    trim(buffer, now);
+    if (buffer.events.length === 0) buffers.delete(userId);
+  }
+};
+
+// the users who can see a task (also used for webhooks, see utils/webhooks.js)
+const recipientsOf = async (todoTask) => {
+  const ids = [String(todoTask.user_id)];
+  if (todoTask.project_id) {
+    const project = await Project.findById(todoTask.project_id);
+    if (project) {
+      ids.push(String(project.user_id), ...project.members.map((m) => String(m.user_id)));
+    }
+  }
+  return [...new Set(ids)];
+};
+
+/**
+ * Tell the users who can see `todoTask` that it was "created", "updated" or
+ * "deleted". Deletions only carry the task's _id. Never throws: a failure
+ * is logged, since the change itself has already been stored.
+ */
+const publishTaskEvent = async (type, todoTask) => {
+  try {
+    const recipients = await recipientsOf(todoTask);
+    // numbered only now, so every buffer stays in sequence order
+    const data = type === "deleted" ? { _id: todoTask._id } : todoTask;
+    const now = Date.now();
+    sequence += 1;
+    const event = { id: `${BOOT}-${sequence}`, sequence, at: now, type, data };
+
+    for (const userId of recipients) {
+      const buffer = bufferFor(userId);
+      buffer.events.push(event);
+      trim(buffer, now);
+      emitter.emit(userId, event);
+    }
+    sweep(now);
+  } catch (error) {
+    logger.error("could not publish task event", { type, todoTaskId: todoTask._id, error });
+  }
+};
+
+// call listener(event) for each new event of the user; returns an unsubscribe function
+const subscribe = (userId, listener) => {
+  emitter.on(String(userId), listener);
+  return () => emitter.off(String(userId), listener);
+};
+
+/**
+ * The buffered events of a user after `lastEventId`. complete is false when
+ * some events since then are no longer known (the id is from an earlier
+ * process, or too old), so the client should reload its tasks.
+ */
+const eventsSince = (userId, lastEventId) => {
+  const buffer = buffers.get(String(userId)) || { events: [], dropped: sequence };
+  const [boot, last] = String(lastEventId).split("-");
+  const after = Number(last);
+  if (boot !== BOOT || !Number.isInteger(after) || after > sequence) {
+    return { events: [], complete: false };
+  }
+  trim(buffer, Date.now());
+  return {
+    events: buffer.events.filter((event) => event.sequence > after),
+    complete: after >= buffer.dropped,
+  };
+};
+
+// one event in the text/event-stream format
+const formatEvent = ({ id, type, data }) =>
+  `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+
+module.exports = {
+  recipientsOf,
+  publishTaskEvent,
+  subscribe,
+  eventsSince,
+  formatEvent,
+};
@@ -0,0 +1,166 @@
+// File formats for exporting and importing TodoTasks (see the export and
+// import routes in routers/todoTaskRouter.js).
+//
+// An export format writes a document in pieces, so tasks can be streamed
+// from a cursor: start(), then item(todoTask, index) for each task, then end().
+const { formatRow, parseCsv } = require("./csv");
+const { formatRRule } = require("./recurrence");
+const { ValidationError } = require("./errors");
+
+// fields an import may set; everything else in a row is ignored, so an
+// export can be imported again
+const IMPORT_FIELDS = [
+  "title",
+  "description",
+  "dueDate",
+  "completed",
+  "autoComplete",
+  "priority",
+  "tags",
+  "recurrence",
+  "project_id",
+];
+
+const CSV_COLUMNS = ["_id", ...IMPORT_FIELDS, "createdAt", "updatedAt"];
+
+const csvValue = (todoTask, column) => {
+  const value = todoTask[column];
+  if (column === "tags") return value.join(",");
+  if (column === "recurrence") return value ? formatRRule(value) : "";
+  return value;
+};
+
+// iCalendar text values escape backslashes, separators and line breaks
+const icsText = (text) =>
+  String(text).replace(/[\\;,]/g, (char) => "\\" + char).replace(/\r?\n/g, "\\n");
+
+const icsDate = (date) => date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// content lines are folded at 75 octets, continuing with a space
+const icsLine = (line) => {
+  const parts = [];
+  let part = "";
+  for (const char of line) {
+    if (Buffer.byteLength(part + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(part);
+      part = "";
+    }
+    part += char;
+  }
+  parts.push(part);
+  return parts.join("\r\n ") + "\r\n";
+};
+
+// iCalendar PRIORITY runs from 1 (highest) to 9 (lowest)
+const ICS_PRIORITY = { urgent: 1, high: 3, medium: 5, low: 9 };
+
+const icsTodo = (todoTask, stamp) => {
+  const lines = [
+    "BEGIN:VTODO",
+    `UID:${todoTask._id}`,
+    `DTSTAMP:${stamp}`,
+    `CREATED:${icsDate(todoTask.createdAt)}`,
+    `LAST-MODIFIED:${icsDate(todoTask.updatedAt)}`,
+    `SUMMARY:${icsText(todoTask.title)}`,
+  ];
+  if (todoTask.description) {
+    lines.push(`DESCRIPTION:${icsText(todoTask.description)}`);
+  }
+  lines.push(
+    `DUE:${icsDate(todoTask.dueDate)}`,
+    `STATUS:${todoTask.completed ? "COMPLETED" : "NEEDS-ACTION"}`,
+    `PRIORITY:${ICS_PRIORITY[todoTask.priority]}`
+  );
+  if (todoTask.tags.length > 0) {
+    lines.push(`CATEGORIES:${todoTask.tags.map(icsText).join(",")}`);
+  }
+  if (todoTask.recurrence) {
+    lines.push(`RRULE:${formatRRule(todoTask.recurrence)}`);
+  }
+  lines.push("END:VTODO");
+  return lines.map(icsLine).join("");
+};
+
+const EXPORT_FORMATS = {
+  json: {
+    contentType: "application/json",
+    start: () => "[",
+    item: (todoTask, index) => (index === 0 ? "" : ",") + JSON.stringify(todoTask),
+    end: () => "]",
+  },
+  csv: {
+    contentType: "text/csv; charset=utf-8",
+    start: () => formatRow(CSV_COLUMNS),
+    item: (todoTask) => formatRow(CSV_COLUMNS.map((column) => csvValue(todoTask, column))),
+    end: () => "",
+  },
+  ics: {
+    contentType: "text/calendar; charset=utf-8",
+    start: () =>
+      ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//API Server//TodoTasks//EN"]
+        .map(icsLine)
+        .join(""),
+    item: (todoTask) => icsTodo(todoTask, icsDate(new Date())),
+    end: () => icsLine("END:VCALENDAR"),
+  },
+};
+
+// CSV cells are all text; turn them into the values a JSON client would send
+const fromCsvCell = (column, text) => {
+  if (text === "") return undefined;
+  if (column === "completed" || column === "autoComplete") {
+    const lower = text.toLowerCase();
+    return lower === "true" ? true : lower === "false" ? false : text;
+  }
+  if (column === "tags") {
+    return text.split(",").map((tag) => tag.trim()).filter(Boolean);
+  }
+  return text;
+};
+
+const pickImportFields = (item) => {
+  const data = {};
+  for (const field of IMPORT_FIELDS) {
+    if (item[field] !== undefined) {
+      data[field] = item[field];
+    }
+  }
+  return data;
+};
+
+/**
+ * The rows of an import, as [{ row, data }] with row numbers from 1. CSV
+ * needs a header line naming the columns; JSON is an array of objects.
+ */
+const parseImportRows = (body, format) => {
+  if (format === "csv") {
+    const [header, ...lines] = parseCsv(body || "");
+    if (!header || !header.some((name) => IMPORT_FIELDS.includes(name.trim()))) {
+      throw new ValidationError([], "CSV needs a header line with the task columns");
+    }
+    const columns = header.map((name) => name.trim());
+    return lines.map((cells, index) => {
+      const item = {};
+      columns.forEach((column, i) => {
+        if (IMPORT_FIELDS.includes(column) && cells[i] !== undefined) {
+          item[column] = fromCsvCell(column, cells[i]);
+        }
+      });
+      return { row: index + 1, data: pickImportFields(item) };
+    });
+  }
+
+  if (!Array.isArray(body)) {
+    throw new ValidationError([], "Send the tasks as a JSON array or as text/csv");
+  }
+  return body.map((item, index) => {
+    // rows that are not objects are reported by the caller
+    const isObject = item !== null && typeof item === "object" && !Array.isArray(item);
+    return { row: index + 1, data: isObject ? pickImportFields(item) : null };
+  });
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseImportRows,
+};
@@ -0,0 +1,152 @@
+const mongoose = require("mongoose");
+const {
+  escapeRegex,
+  single,
+  parseBoolean,
+  parseDate,
+  parseInteger,
+  parseList,
+  parseSortFields,
+} = require("./queryParams");
+const { BadRequestError } = require("./errors");
+
+const PRIORITIES = ["low", "medium", "high", "urgent"];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// fields clients may sort by, and how to revive their values from a cursor
+const SORTABLE_FIELDS = {
+  createdAt: "date",
+  updatedAt: "date",
+  dueDate: "date",
+  title: "string",
+  completed: "boolean",
+};
+
+const parseLimit = (value) =>
+  value === undefined ? DEFAULT_LIMIT : parseInteger(value, "limit", { min: 1, max: MAX_LIMIT });
+
+const parseSort = (value) => {
+  const spec = value === undefined ? "-createdAt" : value;
+  const fields = parseSortFields(spec, Object.keys(SORTABLE_FIELDS));
+  // _id breaks ties so every document has a unique position for the cursor
+  fields.push(["_id", fields[0][1]]);
+  return fields;
+};
+
+const sortKey = (sort) => sort.map(([field, dir]) => (dir < 0 ? "-" : "") + field).join(",");
+
+const encodeCursor = (doc, sort) => {
+  const values = sort.map(([field]) => {
+    const value = doc[field];
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    return value;
+  });
+  return Buffer.from(JSON.stringify({ s: sortKey(sort), v: values })).toString("base64url");
+};
+
+const reviveValue = (field, value) => {
+  if (field === "_id") {
+    if (!mongoose.Types.ObjectId.isValid(value)) throw Error();
+    return new mongoose.Types.ObjectId(value);
+  }
+  switch (SORTABLE_FIELDS[field]) {
+    case "date": {
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) throw Error();
+      return date;
+    }
+    case "boolean":
+      if (typeof value !== "boolean") throw Error();
+      return value;
+    default:
+      if (typeof value !== "string") throw Error();
+      return value;
+  }
+};
+
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { s, v } = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (s !== sortKey(sort) || !Array.isArray(v) || v.length !== sort.length) {
+      throw Error();
+    }
+    return sort.map(([field], i) => reviveValue(field, v[i]));
+  } catch (error) {
+    throw new BadRequestError("Invalid cursor");
+  }
+};
+
+// keyset condition: documents strictly after the cursor position in sort order
+const afterCursor = (sort, values) => ({
+  $or: sort.map(([field, direction], i) => {
+    const condition = {};
+    for (let j = 0; j < i; j++) {
+      condition[sort[j][0]] = values[j];
+    }
+    condition[field] = { [direction < 0 ? "$lt" : "$gt"]: values[i] };
+    return condition;
+  }),
+});
+
+/**
+ * Turn the query string of GET /api/todoTasks into a Mongo filter, sort and
+ * page size. Throws an Error with a client-facing message on bad input.
+ *
+ * Supported parameters: completed, dueBefore, dueAfter, q, tags (tasks with
+ * all of them), priority (any of them), sort, limit, cursor.
+ */
+const parseTodoTaskQuery = (query) => {
+  const filter = {};
+
+  const completed = single(query, "completed");
+  if (completed !== undefined) {
+    filter.completed = parseBoolean(completed, "completed");
+  }
+
+  const dueBefore = single(query, "dueBefore");
+  const dueAfter = single(query, "dueAfter");
+  if (dueBefore !== undefined || dueAfter !== undefined) {
+    filter.dueDate = {};
+    if (dueAfter !== undefined) filter.dueDate.$gte = parseDate(dueAfter, "dueAfter");
+    if (dueBefore !== undefined) filter.dueDate.$lt = parseDate(dueBefore, "dueBefore");
+    if (filter.dueDate.$gte && filter.dueDate.$lt && filter.dueDate.$gte > filter.dueDate.$lt) {
+      throw new BadRequestError("'dueAfter' must not be later than 'dueBefore'");
+    }
+  }
+
+  const q = single(query, "q");
+  if (q !== undefined) {
+    const text = q.trim();
+    if (!text) {
+      throw new BadRequestError("Query parameter 'q' must not be empty");
+    }
+    const pattern = new RegExp(escapeRegex(text), "i");
+    filter.$or = [{ title: pattern }, { description: pattern }];
+  }
+
+  const tags = single(query, "tags");
+  if (tags !== undefined) {
+    filter.tags = { $all: parseList(tags, "tags") };
+  }
+
+  const priority = single(query, "priority");
+  if (priority !== undefined) {
+    filter.priority = { $in: parseList(priority, "priority", PRIORITIES) };
+  }
+
+  const sort = parseSort(single(query, "sort"));
+  const limit = parseLimit(single(query, "limit"));
+
+  const cursor = single(query, "cursor");
+  const after = cursor === undefined ? null : afterCursor(sort, decodeCursor(cursor, sort));
+
+  return { filter, sort, limit, after };
+};
+
+module.exports = {
+  parseTodoTaskQuery,
+  encodeCursor,
+};
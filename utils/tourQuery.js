@@ -0,0 +1,103 @@
+const {
+  single,
+  parseNumber,
+  parseInteger,
+  parseSortFields,
+} = require("./queryParams");
+const { BadRequestError } = require("./errors");
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+const SORTABLE_FIELDS = ["price", "name", "createdAt", "ratingsAverage", "ratingsCount"];
+const SORT_ALIASES = {
+  newest: "-createdAt",
+  oldest: "createdAt",
+  rating: "-ratingsAverage,-ratingsCount",
+};
+
+const PROJECTABLE_FIELDS = [
+  "name",
+  "info",
+  "image",
+  "thumbnail",
+  "price",
+  "departures",
+  "ratingsAverage",
+  "ratingsCount",
+  "createdAt",
+  "updatedAt",
+];
+
+const parseProjection = (value) => {
+  const fields = value.split(",").map((field) => field.trim());
+  for (const field of fields) {
+    if (!PROJECTABLE_FIELDS.includes(field)) {
+      throw new BadRequestError(
+        `Unknown field '${field}'. Allowed: ${PROJECTABLE_FIELDS.join(", ")}`
+      );
+    }
+  }
+  return fields.join(" ");
+};
+
+/**
+ * Turn the query string of GET /api/tours into a Mongo filter, projection,
+ * sort and page. Throws an Error with a client-facing message on bad input.
+ *
+ * Supported parameters: q, minPrice, maxPrice, sort, fields, page, limit.
+ */
+const parseTourQuery = (query) => {
+  const filter = {};
+
+  const q = single(query, "q");
+  if (q !== undefined) {
+    if (!q.trim()) {
+      throw new BadRequestError("Query parameter 'q' must not be empty");
+    }
+    filter.$text = { $search: q.trim() };
+  }
+
+  const minPrice = single(query, "minPrice");
+  const maxPrice = single(query, "maxPrice");
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    filter.price = {};
+    if (minPrice !== undefined) {
+      filter.price.$gte = parseNumber(minPrice, "minPrice", { min: 0 });
+    }
+    if (maxPrice !== undefined) {
+      filter.price.$lte = parseNumber(maxPrice, "maxPrice", { min: 0 });
+    }
+    if (filter.price.$gte > filter.price.$lte) {
+      throw new BadRequestError("'minPrice' must not be greater than 'maxPrice'");
+    }
+  }
+
+  // text searches rank by relevance unless the client asks otherwise
+  let sort;
+  const sortParam = single(query, "sort");
+  if (sortParam === undefined) {
+    sort = filter.$text ? { score: { $meta: "textScore" } } : { createdAt: -1 };
+  } else {
+    const spec = SORT_ALIASES[sortParam] || sortParam;
+    sort = Object.fromEntries(parseSortFields(spec, SORTABLE_FIELDS));
+  }
+  sort._id = 1;
+
+  const fieldsParam = single(query, "fields");
+  const projection = fieldsParam === undefined ? null : parseProjection(fieldsParam);
+
+  const pageParam = single(query, "page");
+  const limitParam = single(query, "limit");
+  const page = pageParam === undefined ? 1 : parseInteger(pageParam, "page", { min: 1, max: 10000 });
+  const limit =
+    limitParam === undefined
+      ? DEFAULT_LIMIT
+      : parseInteger(limitParam, "limit", { min: 1, max: MAX_LIMIT });
+
+  return { filter, projection, sort, page, limit };
+};
+
+module.exports = {
+  parseTourQuery,
+};
@@ -0,0 +1,48 @@
+// Permanent removal of deleted TodoTasks and tours (see utils/softDelete.js).
+//
+// Items stay in the trash for TRASH_RETENTION_DAYS (default 30) and are purged
+// every TRASH_PURGE_INTERVAL_MINUTES (default 60) by the job app.js starts,
+// or on demand with `npm run trash:purge`.
+const TodoTask = require("../models/todoTaskModel");
+const Tour = require("../models/tourModel");
+const Review = require("../models/reviewModel");
+const { removeStoredFiles } = require("./storage");
+const { schedule } = require("./scheduler");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const retentionDays = () => Number(process.env.TRASH_RETENTION_DAYS || 30);
+
+/**
+ * Remove everything deleted more than the retention period before `now`,
+ * together with what belongs to it: a tour's reviews and stored images.
+ * Returns how many TodoTasks and tours were removed.
+ */
+const purgeTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - retentionDays() * DAY);
+  const expired = { deletedAt: { $lt: cutoff } };
+
+  const { deletedCount: todoTasks } = await TodoTask.deleteMany(expired);
+
+  let tours = 0;
+  for (const tour of await Tour.find(expired).select("+imageKeys")) {
+    // skip a tour that was restored in the meantime
+    const { deletedCount } = await Tour.deleteOne({ _id: tour._id, ...expired });
+    if (deletedCount === 1) {
+      await Review.deleteMany({ tour_id: tour._id });
+      await removeStoredFiles(tour.imageKeys);
+      tours += 1;
+    }
+  }
+  return { todoTasks, tours };
+};
+
+const startTrashPurge = () =>
+  schedule("Trash purge", Number(process.env.TRASH_PURGE_INTERVAL_MINUTES || 60), () =>
+    purgeTrash()
+  );
+
+module.exports = {
+  purgeTrash,
+  startTrashPurge,
+};
@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+const validator = require("validator");
+
+const isPresent = (value) => value !== undefined && value !== null && value !== "";
+
+// returns an error message, or null when the value passes the type check
+const checkType = (type, value) => {
+  switch (type) {
+    case "string":
+      return typeof value === "string" ? null : "must be a string";
+    case "boolean":
+      return typeof value === "boolean" ? null : "must be true or false";
+    case "number":
+    case "integer": {
+      // JSON clients often send numbers as strings; Mongoose casts them
+      const number = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+      if (type === "integer") {
+        return Number.isInteger(number) ? null : "must be an integer";
+      }
+      return typeof number === "number" && Number.isFinite(number) ? null : "must be a number";
+    }
+    case "date":
+      return (typeof value === "string" || typeof value === "number") &&
+        !Number.isNaN(new Date(value).getTime())
+        ? null
+        : "must be a valid date";
+    case "email":
+      return typeof value === "string" && validator.isEmail(value)
+        ? null
+        : "must be a valid email";
+    case "objectId":
+      return mongoose.Types.ObjectId.isValid(value) ? null : "must be a valid id";
+    case "array":
+      return Array.isArray(value) ? null : "must be an array";
+    case "object":
+      return typeof value === "object" && !Array.isArray(value) ? null : "must be an object";
+    default:
+      throw Error(`Unknown validation type '${type}'`);
+  }
+};
+
+// returns a client-facing message for the first rule the value breaks
+const checkField = (path, rule, value) => {
+  if (!isPresent(value)) {
+    return rule.required ? `${path} is required` : null;
+  }
+
+  const typeError = checkType(rule.type, value);
+  if (typeError) return `${path} ${typeError}`;
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${path} must be one of: ${rule.enum.join(", ")}`;
+  }
+  if (rule.min !== undefined && Number(value) < rule.min) {
+    return `${path} must be at least ${rule.min}`;
+  }
+  if (rule.max !== undefined && Number(value) > rule.max) {
+    return `${path} must be at most ${rule.max}`;
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return `${path} must be at most ${rule.maxLength} characters`;
+  }
+  if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+    return `${path} must have at most ${rule.maxItems} items`;
+  }
+  if (rule.items) {
+    for (const [index, item] of value.entries()) {
+      const message = checkField(`${path}[${index}]`, { required: true, ...rule.items }, item);
+      if (message) return message;
+    }
+  }
+  if (rule.match && !rule.match.test(value)) {
+    return rule.matchMessage || `${path} has an invalid format`;
+  }
+  if (rule.validate) {
+    return rule.validate(value) || null;
+  }
+  return null;
+};
+
+/**
+ * Check `data` against a schema of `{ field: rule }` and return the list of
+ * `{ path, message }` failures (empty when valid). Fields not in the schema
+ * are left alone.
+ *
+ * Rule keys: type (string, number, integer, boolean, date, email, objectId,
+ * array, object), required, enum, min, max, maxLength, maxItems, items (a rule every
+ * array element must pass), match/matchMessage, and validate, a function
+ * returning an error message for a present value.
+ */
+const checkSchema = (schema, data = {}) => {
+  const fields = [];
+  for (const [path, rule] of Object.entries(schema)) {
+    const message = checkField(path, rule, data[path]);
+    if (message) {
+      fields.push({ path, message });
+    }
+  }
+  return fields;
+};
+
+module.exports = {
+  checkSchema,
+};
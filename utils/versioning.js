@@ -0,0 +1,14 @@
+// Mongoose plugin: bump the version key (__v) on every write, so it changes
+// whenever the document does and can serve as its ETag. Out of the box
+// Mongoose only bumps it for some array changes made through save().
+const versionEveryWrite = (schema) => {
+  // save() checks and bumps the version of the loaded document
+  schema.set("optimisticConcurrency", true);
+
+  schema.pre(["updateOne", "updateMany", "findOneAndUpdate"], function () {
+    const update = this.getUpdate() || {};
+    this.setUpdate({ ...update, $inc: { ...update.$inc, __v: 1 } });
+  });
+};
+
+module.exports = versionEveryWrite;
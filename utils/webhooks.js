@@ -0,0 +1,227 @@
+// Outgoing webhooks (see models/webhookModel.js).
+//
+// A change to a TodoTask or tour creates one WebhookDelivery for every
+// active webhook subscribed to the event, which is then tried right away.
+// The delivery POSTs the JSON payload { id, event, createdAt, data } with
+//   X-Webhook-Event      the event, e.g. "todoTask.updated"
+//   X-Webhook-Delivery   the delivery _id, the same on every retry
+//   X-Webhook-Timestamp  the time of this attempt, in Unix seconds
+//   X-Webhook-Signature  "sha256=" and the hex HMAC-SHA256 of
+//                        "<timestamp>.<body>", keyed with the webhook's secret
+// Receivers should check the signature and reject old timestamps. Any 2xx
+// response counts as delivered. A failed attempt is retried after 1, 2, 4, 8
+// and 16 minutes by the job app.js starts every WEBHOOK_RETRY_INTERVAL_MINUTES
+// (default 1). A webhook whose attempts fail MAX_FAILURES times in a row is
+// disabled, and its owner gets a notification. URLs on private or local
+// addresses are refused (see utils/outbound.js).
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Webhook = require("../models/webhookModel");
+const WebhookDelivery = require("../models/webhookDeliveryModel");
+const Notification = require("../models/notificationModel");
+const User = require("../models/userModel");
+const { recipientsOf } = require("./taskEvents");
+const { schedule } = require("./scheduler");
+const { postJson } = require("./outbound");
+const { logger } = require("./logger");
+
+const MINUTE = 60 * 1000;
+const TIMEOUT_MS = 5000;
+const MAX_ATTEMPTS = 6;
+const MAX_FAILURES = 15;
+const BATCH_SIZE = 100;
+// how long a claimed attempt keeps other runs from starting it again
+const CLAIM_MS = MINUTE;
+
+const signPayload = (secret, timestamp, body) =>
+  "sha256=" + crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+
+const disableWebhook = async (webhook, now) => {
+  const { modifiedCount } = await Webhook.updateOne(
+    { _id: webhook._id, active: true },
+    { active: false, disabledAt: now }
+  );
+  if (modifiedCount === 0) return;
+
+  await WebhookDelivery.updateMany(
+    { webhook_id: webhook._id, status: "pending" },
+    { status: "failed", nextAttemptAt: null }
+  );
+  await Notification.create({
+    user_id: webhook.user_id,
+    type: "webhook_disabled",
+    message: `Webhook to ${webhook.url} was disabled after ${webhook.failureCount} failures`,
+  });
+  logger.warn("webhook disabled", { webhookId: webhook._id, failures: webhook.failureCount });
+};
+
+// store the outcome of an attempt and schedule the next one, if any
+const recordAttempt = async (delivery, webhook, attempt, now) => {
+  const attempts = delivery.attempts.length + 1;
+  let update = { status: "succeeded", nextAttemptAt: null };
+  if (!attempt.ok) {
+    update =
+      attempts >= MAX_ATTEMPTS
+        ? { status: "failed", nextAttemptAt: null }
+        : { nextAttemptAt: new Date(now.getTime() + 2 ** (attempts - 1) * MINUTE) };
+  }
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    { ...update, $push: { attempts: attempt } }
+  );
+
+  if (attempt.ok) {
+    await Webhook.updateOne({ _id: webhook._id, failureCount: { $ne: 0 } }, { failureCount: 0 });
+    return;
+  }
+  const counted = await Webhook.findOneAndUpdate(
+    { _id: webhook._id, active: true },
+    { $inc: { failureCount: 1 } },
+    { new: true }
+  );
+  if (counted && counted.failureCount >= MAX_FAILURES) {
+    await disableWebhook(counted, now);
+  }
+};
+
+/**
+ * Try to deliver a pending delivery that is due at `now`. Does nothing when
+ * another run has claimed it or it is no longer pending.
+ */
+const attemptDelivery = async (deliveryId, now = new Date()) => {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: "pending", nextAttemptAt: { $lte: now } },
+    { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) },
+    { new: true }
+  );
+  if (!delivery) return;
+
+  const webhook = await Webhook.findById(delivery.webhook_id).select("+secret");
+  if (!webhook || !webhook.active) {
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      { status: "failed", nextAttemptAt: null }
+    );
+    return;
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  const attempt = { at: new Date(started) };
+  try {
+    // a redirect is not followed, so it counts as a failure
+    const response = await postJson(webhook.url, {
+      headers: {
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": String(delivery._id),
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": signPayload(webhook.secret, timestamp, body),
+      },
+      body,
+      timeoutMs: TIMEOUT_MS,
+    });
+    attempt.ok = response.ok;
+    attempt.responseStatus = response.status;
+    if (!response.ok) {
+      attempt.error = `Webhook responded with ${response.status}`;
+    }
+  } catch (error) {
+    attempt.ok = false;
+    attempt.error = error.message;
+  }
+  attempt.durationMs = Date.now() - started;
+  await recordAttempt(delivery, webhook, attempt, now);
+};
+
+// create the deliveries of an event and start them in the background, so a
+// slow receiver never holds up the request that made the change
+const queueDeliveries = async (event, data, webhooks) => {
+  if (webhooks.length === 0) return;
+  const now = new Date();
+  const payload = {
+    id: new mongoose.Types.ObjectId(),
+    event,
+    createdAt: now,
+    data,
+  };
+  const deliveries = await WebhookDelivery.insertMany(
+    webhooks.map((webhook) => ({
+      webhook_id: webhook._id,
+      event,
+      // stored the way it is sent
+      payload: JSON.parse(JSON.stringify(payload)),
+      nextAttemptAt: now,
+    }))
+  );
+  for (const delivery of deliveries) {
+    attemptDelivery(delivery._id, now).catch((error) =>
+      logger.error("webhook delivery failed", { deliveryId: delivery._id, error })
+    );
+  }
+};
+
+const eventData = (type, doc) => (type === "deleted" ? { _id: doc._id } : doc);
+
+/**
+ * Queue the "todoTask.<type>" event for the webhooks of everyone who can see
+ * the task. Never throws: a failure is logged, since the change itself has
+ * already been stored.
+ */
+const queueTaskWebhooks = async (type, todoTask) => {
+  const event = `todoTask.${type}`;
+  try {
+    const webhooks = await Webhook.find({
+      user_id: { $in: await recipientsOf(todoTask) },
+      events: event,
+      active: true,
+    });
+    await queueDeliveries(event, eventData(type, todoTask), webhooks);
+  } catch (error) {
+    logger.error("could not queue webhooks", { event, error });
+  }
+};
+
+// Queue the "tour.<type>" event for the webhooks of admins. Never throws.
+const queueTourWebhooks = async (type, tour) => {
+  const event = `tour.${type}`;
+  try {
+    const webhooks = await Webhook.find({ events: event, active: true });
+    const admins = await User.find({
+      _id: { $in: webhooks.map((webhook) => webhook.user_id) },
+      role: "admin",
+    }).distinct("_id");
+    const isAdmin = (webhook) => admins.some((_id) => _id.equals(webhook.user_id));
+    await queueDeliveries(event, eventData(type, tour.toJSON()), webhooks.filter(isAdmin));
+  } catch (error) {
+    logger.error("could not queue webhooks", { event, error });
+  }
+};
+
+/**
+ * Retry the deliveries that are due at `now`. Returns how many were tried.
+ */
+const runWebhookDeliveries = async (now = new Date()) => {
+  const due = await WebhookDelivery.find({ status: "pending", nextAttemptAt: { $lte: now } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(BATCH_SIZE)
+    .select("_id");
+  for (const { _id } of due) {
+    await attemptDelivery(_id, now);
+  }
+  return { attempted: due.length };
+};
+
+const startWebhookDeliveries = () =>
+  schedule("Webhook deliveries", Number(process.env.WEBHOOK_RETRY_INTERVAL_MINUTES || 1), () =>
+    runWebhookDeliveries()
+  );
+
+module.exports = {
+  MAX_FAILURES,
+  signPayload,
+  queueTaskWebhooks,
+  queueTourWebhooks,
+  runWebhookDeliveries,
+  startWebhookDeliveries,
+};
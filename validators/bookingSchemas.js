@@ -0,0 +1,22 @@
+// Request schemas for booking routes (see middleware/validate.js)
+
+const STATUSES = ["pending", "confirmed", "cancelled", "completed"];
+
+const create = {
+  departureId: { type: "objectId", required: true },
+  seats: { type: "integer", min: 1, max: 20 },
+};
+
+const updateStatus = {
+  status: { type: "string", required: true, enum: STATUSES },
+};
+
+const listQuery = {
+  status: { type: "string", enum: STATUSES },
+};
+
+module.exports = {
+  create,
+  updateStatus,
+  listQuery,
+};
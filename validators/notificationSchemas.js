@@ -0,0 +1,14 @@
+// Request schemas for routers/notificationRouter.js (see middleware/validate.js)
+
+const listQuery = {
+  unread: { type: "string", enum: ["true", "false"] },
+};
+
+const update = {
+  read: { type: "boolean", required: true },
+};
+
+module.exports = {
+  listQuery,
+  update,
+};
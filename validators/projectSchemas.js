@@ -0,0 +1,29 @@
+// Request body schemas for routers/projectRouter.js (see middleware/validate.js)
+
+const fields = {
+  name: { type: "string", maxLength: 200 },
+  description: { type: "string", maxLength: 5000 },
+};
+
+const create = {
+  ...fields,
+  name: { ...fields.name, required: true },
+};
+
+const update = fields;
+
+const role = { type: "string", required: true, enum: ["viewer", "editor"] };
+
+const addMember = {
+  email: { type: "email", required: true },
+  role,
+};
+
+const updateMember = { role };
+
+module.exports = {
+  create,
+  update,
+  addMember,
+  updateMember,
+};
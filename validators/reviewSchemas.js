@@ -0,0 +1,18 @@
+// Request schemas for review routes (see middleware/validate.js)
+
+const fields = {
+  rating: { type: "integer", min: 1, max: 5 },
+  comment: { type: "string", maxLength: 2000 },
+};
+
+const create = {
+  ...fields,
+  rating: { ...fields.rating, required: true },
+};
+
+const update = fields;
+
+module.exports = {
+  create,
+  update,
+};
@@ -0,0 +1,27 @@
+// Request body schemas for routers/tagRouter.js (see middleware/validate.js)
+
+const fields = {
+  name: {
+    type: "string",
+    maxLength: 50,
+    match: /^[^,]*\S[^,]*$/,
+    matchMessage: "Tag name must not be blank or contain commas",
+  },
+  color: {
+    type: "string",
+    match: /^#[0-9a-fA-F]{6}$/,
+    matchMessage: "Color must be a hex code such as #ff8800",
+  },
+};
+
+const create = {
+  ...fields,
+  name: { ...fields.name, required: true },
+};
+
+const update = fields;
+
+module.exports = {
+  create,
+  update,
+};
@@ -0,0 +1,103 @@
+// Request body schemas for routers/todoTaskRouter.js (see middleware/validate.js)
+
+const fields = {
+  title: { type: "string", maxLength: 200 },
+  description: { type: "string", maxLength: 5000 },
+  dueDate: { type: "date" },
+  completed: { type: "boolean" },
+  autoComplete: { type: "boolean" },
+  priority: { type: "string", enum: ["low", "medium", "high", "urgent"] },
+  tags: { type: "array", maxItems: 20, items: { type: "string", maxLength: 50 } },
+  project_id: { type: "objectId" },
+};
+
+const create = {
+  ...fields,
+  title: { ...fields.title, required: true },
+  description: { ...fields.description, required: true },
+  dueDate: { ...fields.dueDate, required: true },
+};
+
+const update = fields;
+
+// PUT replaces every editable field, so it is validated like a new task
+const replace = create;
+
+// ?scope=series applies a PATCH to the open occurrences of a recurring task
+const updateQuery = {
+  scope: { type: "string", enum: ["occurrence", "series"] },
+};
+
+// a PUT always replaces a single occurrence
+const replaceQuery = {
+  scope: { type: "string", enum: ["occurrence"] },
+};
+
+// POST /api/todoTasks/bulk; each operation is checked by the controller
+// against bulkOperation and the schema of its kind
+const bulk = {
+  operations: {
+    type: "array",
+    required: true,
+    maxItems: 100,
+    items: { type: "object" },
+    validate: (value) => (value.length === 0 ? "operations must not be empty" : null),
+  },
+  // all-or-nothing: apply every operation in one transaction, or none
+  atomic: { type: "boolean" },
+};
+
+const bulkOperation = {
+  op: {
+    type: "string",
+    required: true,
+    enum: ["create", "update", "delete", "completeAll", "deleteCompleted"],
+  },
+  id: { type: "objectId" },
+  data: { type: "object" },
+  // the filters of GET /api/todoTasks: dueBefore, dueAfter, q, tags, priority, project
+  filter: { type: "object" },
+};
+
+// GET /api/todoTasks/export
+const exportQuery = {
+  format: { type: "string", enum: ["json", "csv", "ics"] },
+};
+
+// POST /api/todoTasks/import; a dry run only reports what would be created
+const importQuery = {
+  dryRun: { type: "string", enum: ["true", "false"] },
+};
+
+const checklistItem = {
+  text: { type: "string", maxLength: 500 },
+  completed: { type: "boolean" },
+};
+
+const addChecklistItem = {
+  ...checklistItem,
+  text: { ...checklistItem.text, required: true },
+  // insert at this index instead of appending
+  position: { type: "integer", min: 0 },
+};
+
+const updateChecklistItem = checklistItem;
+
+const reorderChecklist = {
+  itemIds: { type: "array", required: true, items: { type: "objectId" } },
+};
+
+module.exports = {
+  create,
+  update,
+  replace,
+  updateQuery,
+  replaceQuery,
+  bulk,
+  bulkOperation,
+  exportQuery,
+  importQuery,
+  addChecklistItem,
+  updateChecklistItem,
+  reorderChecklist,
+};
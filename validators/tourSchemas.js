@@ -0,0 +1,35 @@
+// Request body schemas for routers/tourRouter.js (see middleware/validate.js)
+
+const fields = {
+  name: { type: "string", maxLength: 200 },
+  info: { type: "string", maxLength: 5000 },
+  price: { type: "number", min: 0 },
+};
+
+const create = {
+  name: { ...fields.name, required: true },
+  info: { ...fields.info, required: true },
+  price: { ...fields.price, required: true },
+};
+
+const update = fields;
+
+// PUT replaces every editable field, so it is validated like a new tour
+const replace = create;
+
+// a scheduled run of a tour, see POST /api/tours/:tourId/departures
+const departure = {
+  date: {
+    type: "date",
+    required: true,
+    validate: (value) => (new Date(value) <= new Date() ? "date must be in the future" : null),
+  },
+  capacity: { type: "integer", required: true, min: 1 },
+};
+
+module.exports = {
+  create,
+  update,
+  replace,
+  departure,
+};
@@ -0,0 +1,91 @@
+// Request body schemas for routers/userRouter.js (see middleware/validate.js)
+const validator = require("validator");
+const { CHANNELS } = require("../utils/notificationChannels");
+
+const strongPassword = {
+  type: "string",
+  required: true,
+  validate: (value) =>
+    validator.isStrongPassword(value)
+      ? null
+      : "Password not strong enough: use 8+ characters with upper and lower case letters, a number and a symbol",
+};
+
+const profile = {
+  name: { type: "string", maxLength: 100 },
+  phone_number: {
+    type: "string",
+    match: /^\d{10,}$/,
+    matchMessage: "Phone number must contain at least 10 digits",
+  },
+  gender: { type: "string", enum: ["Male", "Female", "Other"] },
+  date_of_birth: {
+    type: "date",
+    validate: (value) => (new Date(value) > new Date() ? "Date of birth cannot be in the future" : null),
+  },
+  membership_status: { type: "string", enum: ["Active", "Inactive", "Suspended"] },
+};
+
+const signup = {
+  ...profile,
+  name: { ...profile.name, required: true },
+  email: { type: "email", required: true },
+  password: strongPassword,
+};
+
+const login = {
+  email: { type: "string", required: true },
+  password: { type: "string", required: true },
+};
+
+const refresh = {
+  refreshToken: { type: "string", required: true },
+};
+
+const changePassword = {
+  currentPassword: { type: "string", required: true },
+  newPassword: strongPassword,
+};
+
+const forgotPassword = {
+  email: { type: "email", required: true },
+};
+
+const resetPassword = {
+  token: { type: "string", required: true },
+  newPassword: strongPassword,
+};
+
+const reminders = {
+  enabled: { type: "boolean" },
+  leadMinutes: { type: "integer", min: 5, max: 7 * 24 * 60 },
+  overdue: { type: "boolean" },
+  channels: {
+    type: "array",
+    maxItems: CHANNELS.length,
+    items: { type: "string", enum: CHANNELS },
+  },
+  webhookUrl: {
+    type: "string",
+    validate: (value) =>
+      validator.isURL(value, { protocols: ["http", "https"], require_protocol: true })
+        ? null
+        : "webhookUrl must be an http or https URL",
+  },
+};
+
+const updateRole = {
+  role: { type: "string", required: true, enum: ["user", "editor", "admin"] },
+};
+
+module.exports = {
+  profile,
+  signup,
+  login,
+  refresh,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  reminders,
+  updateRole,
+};
@@ -0,0 +1,48 @@
+// Request schemas for routers/webhookRouter.js (see middleware/validate.js)
+const validator = require("validator");
+const Webhook = require("../models/webhookModel");
+
+const { EVENTS } = Webhook;
+
+const url = {
+  type: "string",
+  maxLength: 2000,
+  validate: (value) =>
+    validator.isURL(value, {
+      protocols: ["http", "https"],
+      require_protocol: true,
+      require_tld: false, // receivers may run on an internal host name
+    })
+      ? null
+      : "url must be an http or https URL",
+};
+
+const events = {
+  type: "array",
+  maxItems: EVENTS.length,
+  items: { type: "string", enum: EVENTS },
+  validate: (value) => (value.length > 0 ? null : "events must list at least one event"),
+};
+
+const create = {
+  url: { ...url, required: true },
+  events: { ...events, required: true },
+  description: { type: "string", maxLength: 200 },
+};
+
+const update = {
+  url,
+  events,
+  description: { type: "string", maxLength: 200 },
+  active: { type: "boolean" },
+};
+
+const deliveriesQuery = {
+  status: { type: "string", enum: ["pending", "succeeded", "failed"] },
+};
+
+module.exports = {
+  create,
+  update,
+  deliveriesQuery,
+};